@@ -8,25 +8,86 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
 
+import { createServer as createHttpServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { isDeepStrictEqual } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
 const { connect, markdown } = require('@hcengineering/api-client');
 const { generateId } = require('@hcengineering/core');
 const tracker = require('@hcengineering/tracker').default;
+const task = require('@hcengineering/task').default;
 const tags = require('@hcengineering/tags').default;
+const contact = require('@hcengineering/contact').default;
+const chunter = require('@hcengineering/chunter').default;
 
 // Configuration from environment variables
+// Credentials (HULY_TOKEN or HULY_EMAIL/HULY_PASSWORD, each also readable from
+// a *_FILE path) are resolved at connect time by resolveCredentials()
 const HULY_URL = process.env.HULY_URL || 'http://huly.local:8087';
-const HULY_EMAIL = process.env.HULY_EMAIL;
-const HULY_PASSWORD = process.env.HULY_PASSWORD;
 const HULY_WORKSPACE = process.env.HULY_WORKSPACE;
 
+// Workspaces this server may connect to. HULY_WORKSPACES is a comma-separated list;
+// HULY_WORKSPACE (or the first entry) is the default when a call names none.
+const HULY_WORKSPACES = [...new Set([HULY_WORKSPACE, ...parseList(process.env.HULY_WORKSPACES)].filter(Boolean))];
+const DEFAULT_WORKSPACE = HULY_WORKSPACES[0];
+
+// Reference data (statuses, task types, projects, milestones, components, labels)
+// is cached for this many seconds; 0 disables the cache
+const HULY_CACHE_TTL = parseInt(process.env.HULY_CACHE_TTL ?? '60', 10);
+
+// Transport: stdio (default) or http, selectable with --http / --host=... / --port=...
+const CLI_FLAGS = new Map(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value ?? true];
+}));
+const MCP_TRANSPORT = CLI_FLAGS.has('http') ? 'http' : (process.env.HULY_MCP_TRANSPORT || 'stdio');
+const MCP_HOST = CLI_FLAGS.get('host') || process.env.HULY_MCP_HOST || '127.0.0.1';
+const MCP_PORT = parseInt(CLI_FLAGS.get('port') || process.env.HULY_MCP_PORT || '3000', 10);
+const MCP_AUTH_TOKEN = process.env.HULY_MCP_AUTH_TOKEN;
+// Streamable HTTP sessions idle for this many seconds are closed; 0 keeps them open
+const MCP_SESSION_TIMEOUT = parseInt(process.env.HULY_MCP_SESSION_TIMEOUT ?? '1800', 10);
+// Host names HTTP requests may address (Host and Origin headers), to block DNS rebinding
+const MCP_ALLOWED_HOSTS = parseList(process.env.HULY_MCP_ALLOWED_HOSTS).map(h => h.toLowerCase());
+
+// Access control: read-only mode, tool allow/deny lists (comma-separated names or
+// globs such as "delete_*") and the projects writes are restricted to
+const HULY_READ_ONLY = ['1', 'true', 'yes'].includes((process.env.HULY_READ_ONLY || '').toLowerCase());
+const HULY_TOOLS_ALLOW = parseList(process.env.HULY_TOOLS_ALLOW);
+const HULY_TOOLS_DENY = parseList(process.env.HULY_TOOLS_DENY);
+const HULY_WRITE_PROJECTS = parseList(process.env.HULY_WRITE_PROJECTS).map(p => p.toUpperCase());
+
+// Run every mutating tool as a dry run, whatever its dryRun argument says
+const HULY_DRY_RUN = ['1', 'true', 'yes'].includes((process.env.HULY_DRY_RUN || '').toLowerCase());
+
+// Append-only JSONL record of every mutating tool call; "off" disables it
+const HULY_AUDIT_LOG = process.env.HULY_AUDIT_LOG || join(homedir(), '.huly-mcp-server', 'audit.jsonl');
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 // Priority mapping
 const PRIORITY_MAP = {
   'urgent': 1,
@@ -50,65 +111,621 @@ const MILESTONE_STATUS_MAP = {
 
 const MILESTONE_STATUS_NAMES = ['Planned', 'In Progress', 'Completed', 'Canceled'];
 
-// Cached client connection
-let cachedClient = null;
-let connectionPromise = null;
+// Errors with a stable code (NOT_FOUND, INVALID_ARGUMENT, AMBIGUOUS, CONFLICT, FORBIDDEN,
+// CONNECTION, CONFIGURATION) and optional suggestions such as the valid values
+class HulyError extends Error {
+  constructor(code, message, suggestions) {
+    super(message);
+    this.name = 'HulyError';
+    this.code = code;
+    this.suggestions = suggestions;
+  }
+}
 
-async function createConnection() {
-  if (!HULY_EMAIL || !HULY_PASSWORD || !HULY_WORKSPACE) {
-    throw new Error('Missing required environment variables: HULY_EMAIL, HULY_PASSWORD, HULY_WORKSPACE');
+function parseMilestoneStatus(status) {
+  const value = MILESTONE_STATUS_MAP[status.toLowerCase()];
+  if (value === undefined) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid milestone status: ${status}. Valid statuses: ${MILESTONE_STATUS_NAMES.join(', ')}`, MILESTONE_STATUS_NAMES);
   }
+  return value;
+}
 
-  const client = await connect(HULY_URL, {
-    email: HULY_EMAIL,
-    password: HULY_PASSWORD,
-    workspace: HULY_WORKSPACE
-  });
+function parsePriority(priority) {
+  const value = PRIORITY_MAP[priority.toLowerCase()];
+  if (value === undefined) {
+    const valid = Object.keys(PRIORITY_MAP);
+    throw new HulyError('INVALID_ARGUMENT', `Invalid priority: ${priority}. Valid priorities: ${valid.join(', ')}`, valid);
+  }
+  return value;
+}
+
+// Connection pool keyed by workspace: { client } once connected, { promise } while connecting
+const connections = new Map();
+
+// Workspace of the request being handled, set by withReconnect
+const workspaceContext = new AsyncLocalStorage();
+
+function resolveWorkspace(name) {
+  if (!name) {
+    if (!DEFAULT_WORKSPACE) {
+      throw new HulyError('CONFIGURATION', 'Missing required environment variable: HULY_WORKSPACE (or HULY_WORKSPACES)');
+    }
+    return DEFAULT_WORKSPACE;
+  }
+
+  const workspace = HULY_WORKSPACES.find(w => w.toLowerCase() === name.toLowerCase());
+  if (!workspace) {
+    throw new HulyError('NOT_FOUND', `Unknown workspace: ${name}. Available workspaces: ${HULY_WORKSPACES.join(', ')}`, HULY_WORKSPACES);
+  }
+  return workspace;
+}
+
+function currentWorkspace() {
+  return workspaceContext.getStore() ?? resolveWorkspace();
+}
+
+// Per-workspace settings use HULY_<WORKSPACE>_ as prefix (e.g., HULY_ACME_TOKEN for "acme")
+function workspaceEnvPrefix(workspace) {
+  return `HULY_${workspace.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+}
+
+function workspaceUrl(workspace) {
+  return process.env[`${workspaceEnvPrefix(workspace)}URL`] || HULY_URL;
+}
+
+// Read a credential from NAME or, Docker secrets style, from the file named by
+// NAME_FILE. The returned source describes where it came from and is safe to log.
+function readCredential(name) {
+  const value = process.env[name];
+  const file = process.env[`${name}_FILE`];
+
+  if (value && file) {
+    throw new HulyError('CONFIGURATION', `Both ${name} and ${name}_FILE are set. Use only one of them`);
+  }
+
+  if (file) {
+    let content;
+    try {
+      content = readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new HulyError('CONFIGURATION', `Cannot read ${name}_FILE (${file}): ${error.code || error.message}`);
+    }
+    if (!content) {
+      throw new HulyError('CONFIGURATION', `${name}_FILE (${file}) is empty`);
+    }
+    return { value: content, source: `${name}_FILE (${file})` };
+  }
+
+  return value ? { value, source: name } : null;
+}
 
-  return client;
+// Work out how to authenticate to a workspace. Workspace-specific credentials
+// (HULY_<WORKSPACE>_TOKEN, ...) replace the global ones as a set. A token takes
+// precedence over email/password. Throws with a description of what is missing;
+// never includes secret values.
+function resolveCredentials(workspace) {
+  const scoped = workspaceEnvPrefix(workspace);
+  const prefix = ['TOKEN', 'EMAIL', 'PASSWORD']
+    .some(name => process.env[`${scoped}${name}`] || process.env[`${scoped}${name}_FILE`]) ? scoped : 'HULY_';
+
+  const token = readCredential(`${prefix}TOKEN`);
+  const email = readCredential(`${prefix}EMAIL`);
+  const password = readCredential(`${prefix}PASSWORD`);
+
+  if (token) {
+    return {
+      options: { token: token.value, workspace },
+      secrets: [token.value],
+      description: `token from ${token.source}`,
+      ignored: [email, password].filter(Boolean).map(c => c.source)
+    };
+  }
+
+  if (!email && !password) {
+    throw new HulyError('CONFIGURATION', `No Huly credentials configured for workspace ${workspace}. Set HULY_TOKEN (or HULY_TOKEN_FILE), or HULY_EMAIL and HULY_PASSWORD (or HULY_PASSWORD_FILE)`);
+  }
+  if (!email) {
+    throw new HulyError('CONFIGURATION', `Missing ${prefix}EMAIL (or ${prefix}EMAIL_FILE) to go with the password from ${password.source}`);
+  }
+  if (!password) {
+    throw new HulyError('CONFIGURATION', `Missing ${prefix}PASSWORD (or ${prefix}PASSWORD_FILE) for ${email.value}`);
+  }
+
+  return {
+    options: { email: email.value, password: password.value, workspace },
+    secrets: [password.value],
+    description: `password for ${email.value} from ${password.source}`,
+    ignored: []
+  };
+}
+
+function redactSecrets(text, secrets) {
+  return secrets.reduce((result, secret) => result.split(secret).join('***'), String(text));
+}
+
+async function createConnection(workspace) {
+  const credentials = resolveCredentials(workspace);
+  const url = workspaceUrl(workspace);
+
+  try {
+    return await connect(url, credentials.options);
+  } catch (error) {
+    throw new HulyError('CONNECTION', `Failed to connect to ${url} (workspace ${workspace}) using ${credentials.description}: ${redactSecrets(error.message, credentials.secrets)}`);
+  }
 }
 
-async function getClient() {
-  if (cachedClient) {
-    return cachedClient;
+// Client for the workspace; while a mutating tool runs its writes are recorded
+async function getClient(workspace = currentWorkspace()) {
+  const client = await getConnection(workspace);
+  const recording = changeContext.getStore();
+  if (!recording) {
+    return client;
   }
 
-  // Prevent multiple simultaneous connection attempts
-  if (connectionPromise) {
-    return connectionPromise;
+  recording.client ??= createRecordingClient(client, recording);
+  return recording.client;
+}
+
+async function getConnection(workspace) {
+  const entry = connections.get(workspace);
+  if (entry) {
+    // Reuse the connection, or join an attempt already in progress
+    return entry.client ?? entry.promise;
   }
 
-  connectionPromise = createConnection();
+  const promise = createConnection(workspace);
+  connections.set(workspace, { promise });
   try {
-    cachedClient = await connectionPromise;
-    return cachedClient;
-  } finally {
-    connectionPromise = null;
+    const client = await promise;
+    if (connections.get(workspace)?.promise === promise) {
+      connections.set(workspace, { client });
+    }
+    if (!subscribeToTransactions(client, txes => dispatchTransactions(workspace, txes))) {
+      console.error(`Transaction stream not available for ${workspace}, reference cache relies on TTL only and resource subscriptions are inactive`);
+    }
+    return client;
+  } catch (error) {
+    if (connections.get(workspace)?.promise === promise) {
+      connections.delete(workspace);
+    }
+    throw error;
+  }
+}
+
+function clearConnection(workspace) {
+  connections.delete(workspace);
+  referenceCaches.delete(workspace);
+}
+
+// Hook into the connection's transaction stream. The api-client wraps the core
+// client, which exposes a notify callback for incoming transactions.
+function subscribeToTransactions(client, handler) {
+  let target = client;
+  while (target && !('notify' in target)) {
+    target = target.client;
   }
+
+  if (!target) {
+    return false;
+  }
+
+  const previous = target.notify;
+  target.notify = (...txes) => {
+    previous?.(...txes);
+    handler(txes);
+  };
+  return true;
+}
+
+// Listeners interested in workspace transactions (cache invalidation, resource subscriptions).
+// They are called as listener(txes, workspace) within that workspace's context.
+const txListeners = new Set();
+
+function dispatchTransactions(workspace, txes) {
+  for (const listener of txListeners) {
+    try {
+      workspaceContext.run(workspace, () => listener(txes, workspace));
+    } catch (err) {
+      console.error('[dispatchTransactions] Listener error:', err.message);
+    }
+  }
+}
+
+// Reference data cache, one map per workspace
+const referenceCaches = new Map();
+
+function workspaceCache() {
+  const workspace = currentWorkspace();
+  if (!referenceCaches.has(workspace)) {
+    referenceCaches.set(workspace, new Map());
+  }
+  return referenceCaches.get(workspace);
+}
+
+async function cached(key, loader) {
+  if (HULY_CACHE_TTL <= 0) {
+    return await loader();
+  }
+
+  const referenceCache = workspaceCache();
+  const entry = referenceCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await loader();
+  referenceCache.set(key, { value, expiresAt: Date.now() + HULY_CACHE_TTL * 1000 });
+  return value;
+}
+
+// Drop the current workspace's cached entries of the given kinds, or everything when none are given
+function invalidateCache(...kinds) {
+  const referenceCache = workspaceCache();
+  for (const key of [...referenceCache.keys()]) {
+    if (kinds.length === 0 || kinds.includes(key.split(':')[0])) {
+      referenceCache.delete(key);
+    }
+  }
+}
+
+const CACHED_CLASSES = new Map([
+  [tracker.class.IssueStatus, 'statuses'],
+  [task.class.TaskType, 'taskTypes'],
+  [tracker.class.Project, 'projects'],
+  [tracker.class.Milestone, 'milestones'],
+  [tracker.class.Component, 'components'],
+  [tags.class.TagElement, 'labels']
+]);
+
+function invalidateCacheForTx(txes) {
+  for (const tx of txes) {
+    // Collection transactions wrap the actual document change
+    const objectClass = tx.tx?.objectClass ?? tx.objectClass;
+    const kind = CACHED_CLASSES.get(objectClass);
+    if (kind) {
+      invalidateCache(kind);
+    }
+  }
+}
+
+txListeners.add(invalidateCacheForTx);
+
+async function getStatuses(client) {
+  return await cached('statuses', () => client.findAll(tracker.class.IssueStatus, {}));
 }
 
-function clearConnection() {
-  cachedClient = null;
-  connectionPromise = null;
+async function getTaskTypes(client) {
+  return await cached('taskTypes', () => client.findAll(task.class.TaskType, {}));
 }
 
-async function withReconnect(operation) {
+async function getProjects(client) {
+  return await cached('projects', () => client.findAll(tracker.class.Project, {}));
+}
+
+async function findProject(client, identifier) {
+  const ident = identifier.toUpperCase();
+  const project = (await getProjects(client)).find(p => p.identifier === ident);
+  if (project) {
+    return project;
+  }
+
+  // Project may have been created since the cache was filled
+  invalidateCache('projects');
+  return (await getProjects(client)).find(p => p.identifier === ident);
+}
+
+async function requireProject(client, identifier) {
+  const project = await findProject(client, identifier);
+  if (!project) {
+    const available = (await getProjects(client)).map(p => p.identifier);
+    throw new HulyError('NOT_FOUND', `Project not found: ${identifier}. Available projects: ${available.join(', ') || 'none'}`, available);
+  }
+  return project;
+}
+
+// Find a status by name (case-insensitive), listing the valid ones when there is none
+function findStatusByName(statuses, name) {
+  const found = statuses.find(s => s.name.toLowerCase() === name.toLowerCase());
+  if (!found) {
+    const available = [...new Set(statuses.map(s => s.name))];
+    throw new HulyError('NOT_FOUND', `Status "${name}" not found. Available statuses: ${available.join(', ')}`, available);
+  }
+  return found;
+}
+
+async function getMilestones(client, space) {
+  return await cached(`milestones:${space}`, () => client.findAll(tracker.class.Milestone, { space }));
+}
+
+async function getComponents(client, space) {
+  return await cached(`components:${space}`, () => client.findAll(tracker.class.Component, { space }));
+}
+
+async function getLabels(client) {
+  return await cached('labels', () => client.findAll(tags.class.TagElement, {
+    targetClass: tracker.class.Issue
+  }));
+}
+
+function isConnectionError(error) {
+  if (error instanceof HulyError) {
+    return error.code === 'CONNECTION';
+  }
+  return error.message?.includes('ConnectionClosed') ||
+    error.message?.includes('connection') ||
+    error.message?.includes('ECONNREFUSED') ||
+    error.message?.includes('socket') ||
+    error.code === 'ECONNRESET';
+}
+
+// Run an operation against a workspace (the default when none is given),
+// reconnecting once if the connection turns out to be gone
+async function withReconnect(operation, workspace) {
+  const target = resolveWorkspace(workspace);
+  const run = () => workspaceContext.run(target, operation);
+
   try {
-    return await operation();
+    return await run();
   } catch (error) {
-    // Check if this is a connection error
-    if (error.message?.includes('ConnectionClosed') ||
-        error.message?.includes('connection') ||
-        error.message?.includes('ECONNREFUSED') ||
-        error.message?.includes('socket') ||
-        error.code === 'ECONNRESET') {
-      console.error('Connection lost, attempting reconnect...');
-      clearConnection();
+    if (isConnectionError(error)) {
+      console.error(`Connection to ${target} lost, attempting reconnect...`);
+      clearConnection(target);
       // Retry once with fresh connection
-      return await operation();
+      return await run();
+    }
+    throw error;
+  }
+}
+
+// Change recording: mutating tools run against a client that records every write
+// with the affected fields' before/after values. Dry runs record without sending,
+// so names and IDs resolve exactly as for real; audited calls record and send.
+const changeContext = new AsyncLocalStorage();
+
+function isDryRun() {
+  const recording = changeContext.getStore();
+  return Boolean(recording && !recording.apply);
+}
+
+async function recordChanges(apply, operation) {
+  const recording = { apply, changes: [], client: null };
+  try {
+    const result = await changeContext.run(recording, operation);
+    return { result, changes: recording.changes };
+  } catch (error) {
+    return { error, changes: recording.changes };
+  }
+}
+
+async function dryRunTool(operation) {
+  const { result, error, changes } = await recordChanges(false, operation);
+  if (error) {
+    throw error;
+  }
+  return { dryRun: true, result, changes };
+}
+
+// Field values before and after applying update operations to a document.
+// Missing fields are recorded as null so that undo can clear them again.
+function describeUpdate(doc, operations) {
+  const before = {};
+  const after = {};
+  for (const [key, value] of Object.entries(operations)) {
+    if (key === '$inc') {
+      for (const [field, amount] of Object.entries(value)) {
+        before[field] = doc?.[field] ?? null;
+        after[field] = (doc?.[field] ?? 0) + amount;
+      }
+    } else {
+      before[key] = doc?.[key] ?? null;
+      after[key] = value;
+    }
+  }
+  return { before, after };
+}
+
+function createRecordingClient(client, { apply, changes }) {
+  const record = async (_class, space, id, operations, send) => {
+    const doc = await client.findOne(_class, { _id: id });
+    const { before, after } = describeUpdate(doc, operations);
+    const change = { operation: 'update', class: _class, space, id, attachedTo: doc?.attachedTo, attachedToClass: doc?.attachedToClass, before, after };
+    if (operations.$inc) {
+      // Counters such as the project's issue sequence are never rolled back
+      change.increments = Object.keys(operations.$inc);
+    }
+    changes.push(change);
+
+    if (!apply) {
+      return { object: { ...doc, ...after } };
+    }
+    const result = await send();
+    // Increments are only known once applied
+    for (const field of Object.keys(operations.$inc ?? {})) {
+      change.after[field] = result?.object?.[field] ?? change.after[field];
+    }
+    return result;
+  };
+
+  const remove = async (_class, space, id, send) => {
+    const before = await client.findOne(_class, { _id: id });
+    changes.push({ operation: 'remove', class: _class, space, id, attachedTo: before?.attachedTo, attachedToClass: before?.attachedToClass, before });
+    return apply ? await send() : {};
+  };
+
+  const writes = {
+    async createDoc(_class, space, attributes, id = generateId()) {
+      changes.push({ operation: 'create', class: _class, space, id, attributes });
+      return apply ? await client.createDoc(_class, space, attributes, id) : id;
+    },
+    async addCollection(_class, space, attachedTo, attachedToClass, collection, attributes, id = generateId()) {
+      changes.push({ operation: 'create', class: _class, space, id, attachedTo, attachedToClass, collection, attributes });
+      return apply ? await client.addCollection(_class, space, attachedTo, attachedToClass, collection, attributes, id) : id;
+    },
+    async updateDoc(_class, space, id, operations, retrieve) {
+      const result = await record(_class, space, id, operations,
+        () => client.updateDoc(_class, space, id, operations, retrieve));
+      return apply || retrieve ? result : {};
+    },
+    async updateCollection(_class, space, id, attachedTo, attachedToClass, collection, operations, retrieve) {
+      const result = await record(_class, space, id, operations,
+        () => client.updateCollection(_class, space, id, attachedTo, attachedToClass, collection, operations, retrieve));
+      return apply || retrieve ? result : {};
+    },
+    async removeDoc(_class, space, id) {
+      return await remove(_class, space, id, () => client.removeDoc(_class, space, id));
+    },
+    async removeCollection(_class, space, id, attachedTo, attachedToClass, collection) {
+      return await remove(_class, space, id,
+        () => client.removeCollection(_class, space, id, attachedTo, attachedToClass, collection));
+    }
+  };
+
+  // Uploaded markup is recorded; in a dry run its text stands in for the blob reference
+  const markup = new Proxy(client.markup, {
+    get(target, prop) {
+      if (prop === 'uploadMarkup') {
+        return async (_class, id, attribute, text, format) => {
+          changes.push({ operation: 'uploadMarkup', class: _class, id, attribute, value: text });
+          return apply ? await target.uploadMarkup(_class, id, attribute, text, format) : text;
+        };
+      }
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  return new Proxy(client, {
+    get(target, prop) {
+      if (prop in writes) {
+        return writes[prop];
+      }
+      if (prop === 'markup') {
+        return markup;
+      }
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+// Audit log
+function auditEnabled() {
+  return HULY_AUDIT_LOG !== 'off';
+}
+
+// Identifiers of the issues a set of changes touched, directly or through
+// attached documents such as comments, labels and time reports
+async function changedIssueIdentifiers(client, changes) {
+  const identifiers = new Map();
+  for (const change of changes) {
+    const issueId = change.class === tracker.class.Issue ? change.id
+      : change.attachedToClass === tracker.class.Issue ? change.attachedTo : null;
+    if (!issueId) {
+      continue;
     }
+    // Created and removed issues carry their identifier; others are looked up below
+    const identifier = change.after?.identifier ?? change.attributes?.identifier ??
+      (change.operation === 'remove' ? change.before?.identifier : undefined);
+    if (identifier || !identifiers.has(issueId)) {
+      identifiers.set(issueId, identifier);
+    }
+  }
+
+  const missing = [...identifiers].filter(([, identifier]) => !identifier).map(([id]) => id);
+  const found = await loadIssueIdentifiers(client, missing);
+  return [...identifiers].map(([id, identifier]) => identifier ?? found.get(id) ?? id);
+}
+
+async function writeAuditEntry(entry) {
+  try {
+    await mkdir(dirname(HULY_AUDIT_LOG), { recursive: true });
+    await appendFile(HULY_AUDIT_LOG, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('[writeAuditEntry] Failed to write audit log:', err.message);
+  }
+}
+
+// Run a mutating tool, recording its changes and outcome in the audit log
+async function auditedToolCall(name, args) {
+  if (!auditEnabled()) {
+    return await handleToolCall(name, args);
+  }
+
+  const timestamp = new Date().toISOString();
+  const { result, error, changes } = await recordChanges(true, () => handleToolCall(name, args));
+
+  let issues = [];
+  try {
+    issues = await changedIssueIdentifiers(await getClient(), changes);
+  } catch (err) {
+    console.error('[auditedToolCall] Failed to resolve issue identifiers:', err.message);
+  }
+
+  await writeAuditEntry({
+    id: randomUUID(),
+    timestamp,
+    workspace: currentWorkspace(),
+    tool: name,
+    arguments: args,
+    issues,
+    changes,
+    success: !error,
+    error: error?.message,
+    code: error ? errorDetails(error).code : undefined,
+    undoes: name === 'undo' ? result?.undone.map(e => e.id) : undefined
+  });
+
+  if (error) {
     throw error;
   }
+  return result;
+}
+
+// Record a mutating call that was rejected before it ran, such as invalid
+// arguments or a write outside the allowed projects
+async function auditRejectedCall(name, args, error) {
+  if (!auditEnabled()) {
+    return;
+  }
+
+  let workspace = args.workspace ?? DEFAULT_WORKSPACE;
+  try {
+    workspace = resolveWorkspace(args.workspace);
+  } catch {
+    // Keep an unknown workspace name as the caller gave it
+  }
+
+  await writeAuditEntry({
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    workspace,
+    tool: name,
+    arguments: args,
+    issues: [],
+    changes: [],
+    success: false,
+    error: error.message,
+    code: errorDetails(error).code
+  });
+}
+
+async function readAuditLog() {
+  try {
+    const content = await readFile(HULY_AUDIT_LOG, 'utf8');
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // Skip a line cut short by a crash
+        return [];
+      }
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
 }
 
 // Tool definitions
@@ -138,7 +755,7 @@ const TOOLS = [
   },
   {
     name: 'list_issues',
-    description: 'List issues in a project with optional filtering',
+    description: 'List issues in a project with optional filtering, most recently modified first. Returns a page of issues with total count and nextCursor for paging.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -162,14 +779,56 @@ const TOOLS = [
           type: 'string',
           description: 'Filter by milestone name'
         },
+        assignee: {
+          type: 'string',
+          description: 'Filter by assignee name or email'
+        },
+        component: {
+          type: 'string',
+          description: 'Filter by component name'
+        },
         limit: {
-          type: 'number',
+          type: 'integer',
+          minimum: 1,
           description: 'Maximum number of issues to return (default: 50)'
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor from a previous response (nextCursor) to fetch the next page'
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Number of matching issues to skip (ignored when cursor is given)'
         }
       },
       required: ['project']
     }
   },
+  {
+    name: 'search_issues',
+    description: 'Search issue titles and descriptions across one, several or all projects, best matches first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search text (e.g., "SSO login")'
+        },
+        projects: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Project identifiers to search (default: all projects)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of issues to return (default: 20)'
+        }
+      },
+      required: ['query']
+    }
+  },
   {
     name: 'get_issue',
     description: 'Get a specific issue by number (e.g., "PRYLA-42")',
@@ -184,6 +843,25 @@ const TOOLS = [
       required: ['issueId']
     }
   },
+  {
+    name: 'get_issue_tree',
+    description: 'Get an issue with its sub-issues as a nested tree, with status, priority, assignee and rolled-up progress at each level',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Root issue identifier (e.g., "PRYLA-1" for an epic)'
+        },
+        depth: {
+          type: 'integer',
+          minimum: 0,
+          description: 'How many levels of sub-issues to include (default: 5)'
+        }
+      },
+      required: ['issueId']
+    }
+  },
   {
     name: 'create_issue',
     description: 'Create a new issue in a project',
@@ -218,6 +896,14 @@ const TOOLS = [
         type: {
           type: 'string',
           description: 'Task type name (e.g., "Issue", "Epic", "Bug"). Use list_task_types to see available types.'
+        },
+        assignee: {
+          type: 'string',
+          description: 'Assignee name or email. Use list_members to see available members.'
+        },
+        component: {
+          type: 'string',
+          description: 'Component name. Use list_components to see available components.'
         }
       },
       required: ['project', 'title']
@@ -252,6 +938,14 @@ const TOOLS = [
         type: {
           type: 'string',
           description: 'New task type name (e.g., "Issue", "Epic", "Bug"). Use list_task_types to see available types.'
+        },
+        assignee: {
+          type: 'string',
+          description: 'New assignee name or email, or empty string to unassign'
+        },
+        component: {
+          type: 'string',
+          description: 'New component name, or empty string to clear'
         }
       },
       required: ['issueId']
@@ -375,15 +1069,87 @@ const TOOLS = [
     }
   },
   {
-    name: 'list_task_types',
-    description: 'List all available task types for a project (e.g., Issue, Epic, Bug)',
+    name: 'remove_relation',
+    description: 'Remove a "related to" relationship between two issues (in either direction)',
     inputSchema: {
       type: 'object',
       properties: {
-        project: {
+        issueId: {
           type: 'string',
-          description: 'Project identifier (e.g., "PRYLA")'
-        }
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        relatedToIssueId: {
+          type: 'string',
+          description: 'The related issue (e.g., "PRYLA-99")'
+        }
+      },
+      required: ['issueId', 'relatedToIssueId']
+    }
+  },
+  {
+    name: 'remove_blocked_by',
+    description: 'Remove a "blocked by" dependency. The first issue is no longer blocked by the second.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue that is blocked (e.g., "PRYLA-42")'
+        },
+        blockedByIssueId: {
+          type: 'string',
+          description: 'The blocking issue to remove (e.g., "PRYLA-99")'
+        }
+      },
+      required: ['issueId', 'blockedByIssueId']
+    }
+  },
+  {
+    name: 'clear_parent',
+    description: 'Detach an issue from its parent, making it a top-level issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Child issue identifier (e.g., "PRYLA-42")'
+        }
+      },
+      required: ['issueId']
+    }
+  },
+  {
+    name: 'get_dependency_graph',
+    description: 'Get the "blocked by" dependency graph for an issue, a milestone or a whole project: nodes, edges, cycles, currently unblocked issues and the critical path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier to start from (e.g., "PRYLA-42")'
+        },
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA"), used when issueId is not given'
+        },
+        milestone: {
+          type: 'string',
+          description: 'Limit the project graph to issues in this milestone'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_task_types',
+    description: 'List all available task types for a project (e.g., Issue, Epic, Bug)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA")'
+        }
       },
       required: ['project']
     }
@@ -463,6 +1229,44 @@ const TOOLS = [
       required: ['project', 'name']
     }
   },
+  {
+    name: 'update_milestone',
+    description: 'Update a milestone: rename, change description, reschedule or change status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA")'
+        },
+        name: {
+          type: 'string',
+          description: 'Current milestone name/label'
+        },
+        newName: {
+          type: 'string',
+          description: 'New milestone name/label'
+        },
+        description: {
+          type: 'string',
+          description: 'New milestone description'
+        },
+        targetDate: {
+          type: 'string',
+          description: 'New target date (ISO 8601 format, e.g., "2025-03-01")'
+        },
+        status: {
+          type: 'string',
+          description: 'New status (Planned, In Progress, Completed, Canceled)'
+        },
+        moveUnfinishedTo: {
+          type: 'string',
+          description: 'When completing or canceling, move issues that are not done or canceled to this milestone'
+        }
+      },
+      required: ['project', 'name']
+    }
+  },
   {
     name: 'set_milestone',
     description: 'Set or clear the milestone for an issue',
@@ -475,379 +1279,2342 @@ const TOOLS = [
         },
         milestone: {
           type: 'string',
-          description: 'Milestone name to set, or empty/null to clear'
+          description: 'Milestone name to set, or empty string (or null) to clear'
         }
       },
       required: ['issueId']
     }
-  }
-];
-
-// Tool implementations
-async function listProjects() {
-  const client = await getClient();
-  const projects = await client.findAll(tracker.class.Project, {});
-
-  const result = [];
-  for (const project of projects) {
-    const issues = await client.findAll(tracker.class.Issue, { space: project._id });
-    result.push({
-      id: project._id,
-      identifier: project.identifier,
-      name: project.name || project.identifier,
-      issueCount: issues.length
-    });
-  }
-
-  return result;
-}
-
-async function getProject(identifier) {
-  const client = await getClient();
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: identifier.toUpperCase()
-  });
-
-  if (!project) {
-    throw new Error(`Project not found: ${identifier}`);
-  }
-
-  const issues = await client.findAll(tracker.class.Issue, { space: project._id });
-
-  return {
-    id: project._id,
-    identifier: project.identifier,
-    name: project.name || project.identifier,
-    description: project.description || '',
-    issueCount: issues.length
-  };
-}
-
-async function listIssues(project, status, priority, label, milestone, limit = 50) {
-  const client = await getClient();
-
-  // Find project
-  const proj = await client.findOne(tracker.class.Project, {
-    identifier: project.toUpperCase()
-  });
-
-  if (!proj) {
-    throw new Error(`Project not found: ${project}`);
-  }
-
-  // Build query
-  const query = { space: proj._id };
-
-  if (priority) {
-    query.priority = PRIORITY_MAP[priority.toLowerCase()] ?? 0;
-  }
-
-  // Get milestones for filtering and resolving names
-  const milestones = await client.findAll(tracker.class.Milestone, { space: proj._id });
-  const milestoneMap = new Map(milestones.map(m => [m._id, m.label]));
-
-  // Filter by milestone if provided
-  let milestoneFilter = null;
-  if (milestone) {
-    const found = milestones.find(m => m.label.toLowerCase() === milestone.toLowerCase());
-    if (found) {
-      milestoneFilter = found._id;
-      query.milestone = found._id;
-    }
-  }
-
-  // Get issues
-  let issues = await client.findAll(tracker.class.Issue, query, {
-    limit,
-    sort: { modifiedOn: -1 }
-  });
-
-  // Get statuses to resolve names
-  const statuses = await client.findAll(tracker.class.IssueStatus, {});
-  const statusMap = new Map(statuses.map(s => [s._id, s.name]));
-
-  // Filter by status name if provided
-  if (status) {
-    issues = issues.filter(issue => {
-      const statusName = statusMap.get(issue.status) || '';
-      return statusName.toLowerCase() === status.toLowerCase();
-    });
-  }
-
-  // Get labels for filtering
-  let labelFilter = null;
-  if (label) {
-    const tagElements = await client.findAll(tags.class.TagElement, {
-      title: label,
-      targetClass: tracker.class.Issue
-    });
-    if (tagElements.length > 0) {
-      labelFilter = tagElements[0]._id;
-    }
-  }
-
-  // Build result with labels and milestone
-  const result = [];
-  for (const issue of issues) {
-    const issueLabels = await client.findAll(tags.class.TagReference, {
-      attachedTo: issue._id
-    });
-
-    // Filter by label if specified
-    if (labelFilter && !issueLabels.some(l => l.tag === labelFilter)) {
-      continue;
+  },
+  {
+    name: 'list_members',
+    description: 'List workspace members (employees) that issues can be assigned to',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
     }
-
-    result.push({
-      id: `${proj.identifier}-${issue.number}`,
-      title: issue.title,
-      status: statusMap.get(issue.status) || 'Unknown',
-      priority: PRIORITY_NAMES[issue.priority] || 'Unknown',
-      labels: issueLabels.map(l => l.title),
-      milestone: issue.milestone ? milestoneMap.get(issue.milestone) || null : null
-    });
-  }
-
-  return result;
-}
-
-async function getIssue(issueId) {
-  const client = await getClient();
-
-  // Parse issue ID (e.g., "PRYLA-42")
-  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
-  if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}. Expected format: PROJECT-NUMBER`);
-  }
-
-  const [, projectId, issueNum] = match;
-
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
-  });
-
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
-  }
-
-  // Find issue
-  const issue = await client.findOne(tracker.class.Issue, {
-    space: project._id,
-    number: parseInt(issueNum)
-  });
-
-  if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
-  }
-
-  // Get status name
-  const status = await client.findOne(tracker.class.IssueStatus, { _id: issue.status });
-
-  // Get labels
-  const issueLabels = await client.findAll(tags.class.TagReference, {
-    attachedTo: issue._id
-  });
-
-  // Get description content
-  // Description can be either:
-  // 1. A MarkupBlobRef (format: objectId-attr-timestamp) pointing to collaborative document
-  // 2. A plain string (when set via API without collaborative document)
-  let descriptionContent = '';
-  if (issue.description) {
-    // Check if it looks like a blob reference (contains timestamp pattern)
-    const looksLikeBlobRef = typeof issue.description === 'string' &&
-      /^[a-f0-9]+-description-\d+$/.test(issue.description);
-
-    if (looksLikeBlobRef) {
-      // Try to fetch from collaborative document system
-      try {
-        descriptionContent = await client.fetchMarkup(
-          tracker.class.Issue,
-          issue._id,
-          'description',
-          issue.description,
-          'markdown'
-        );
-      } catch (err) {
-        // Fallback to raw value if fetch fails
-        descriptionContent = issue.description;
-      }
-    } else {
-      // Plain string - use directly
-      descriptionContent = issue.description;
+  },
+  {
+    name: 'add_comment',
+    description: 'Add a comment to an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        text: {
+          type: 'string',
+          description: 'Comment text (Markdown supported)'
+        }
+      },
+      required: ['issueId', 'text']
     }
-  }
-
-  // Get parent issue if this issue has one
-  let parentId = null;
-  if (issue.attachedTo && issue.attachedToClass === tracker.class.Issue) {
-    const parentIssue = await client.findOne(tracker.class.Issue, { _id: issue.attachedTo });
-    if (parentIssue) {
-      // Find parent's project to get identifier
-      const parentProject = await client.findOne(tracker.class.Project, { _id: parentIssue.space });
-      if (parentProject) {
-        parentId = `${parentProject.identifier}-${parentIssue.number}`;
-      }
+  },
+  {
+    name: 'list_comments',
+    description: 'List comments on an issue, oldest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of comments to return (default: 50)'
+        }
+      },
+      required: ['issueId']
     }
+  },
+  {
+    name: 'update_comment',
+    description: 'Edit a comment previously posted by this account',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        commentId: {
+          type: 'string',
+          description: 'Comment ID (from list_comments or add_comment)'
+        },
+        text: {
+          type: 'string',
+          description: 'New comment text (Markdown supported)'
+        }
+      },
+      required: ['issueId', 'commentId', 'text']
+    }
+  },
+  {
+    name: 'delete_comment',
+    description: 'Delete a comment previously posted by this account',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        commentId: {
+          type: 'string',
+          description: 'Comment ID (from list_comments or add_comment)'
+        }
+      },
+      required: ['issueId', 'commentId']
+    }
+  },
+  {
+    name: 'set_estimate',
+    description: 'Set the time estimate (in hours) for an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        estimation: {
+          type: 'number',
+          minimum: 0,
+          description: 'Estimated effort in hours'
+        },
+        remainingTime: {
+          type: 'number',
+          minimum: 0,
+          description: 'Remaining time in hours (default: estimate minus time already reported)'
+        }
+      },
+      required: ['issueId', 'estimation']
+    }
+  },
+  {
+    name: 'log_time',
+    description: 'Log time spent on an issue as a time report entry',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        hours: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          description: 'Time spent in hours (e.g., 1.5)'
+        },
+        description: {
+          type: 'string',
+          description: 'Note describing the work done'
+        },
+        date: {
+          type: 'string',
+          description: 'Date the work was done (ISO 8601 format, e.g., "2025-03-01"). Default: now'
+        }
+      },
+      required: ['issueId', 'hours']
+    }
+  },
+  {
+    name: 'get_time_log',
+    description: 'Get the estimate, remaining time and time report entries for an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        }
+      },
+      required: ['issueId']
+    }
+  },
+  {
+    name: 'list_components',
+    description: 'List all components in a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA")'
+        }
+      },
+      required: ['project']
+    }
+  },
+  {
+    name: 'create_component',
+    description: 'Create a new component in a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA")'
+        },
+        name: {
+          type: 'string',
+          description: 'Component name'
+        },
+        description: {
+          type: 'string',
+          description: 'Component description'
+        },
+        lead: {
+          type: 'string',
+          description: 'Component lead name or email. Use list_members to see available members.'
+        }
+      },
+      required: ['project', 'name']
+    }
+  },
+  {
+    name: 'bulk_update_issues',
+    description: 'Apply the same changes to many issues, selected by ID or by list_issues filters. Returns a per-issue success/failure report; truncated is true when more issues matched the filter than limit allowed, so call again for the rest.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Issue identifiers to update (e.g., ["PRYLA-42", "PRYLA-43"])'
+        },
+        filter: {
+          type: 'object',
+          description: 'Select issues like list_issues instead of listing IDs',
+          properties: {
+            project: { type: 'string', description: 'Project identifier (e.g., "PRYLA")' },
+            status: { type: 'string', description: 'Filter by status' },
+            priority: { type: 'string', description: 'Filter by priority' },
+            label: { type: 'string', description: 'Filter by label name' },
+            milestone: { type: 'string', description: 'Filter by milestone name' },
+            assignee: { type: 'string', description: 'Filter by assignee name or email' },
+            component: { type: 'string', description: 'Filter by component name' }
+          },
+          required: ['project']
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of filtered issues to update (default: 100)'
+        },
+        changes: {
+          type: 'object',
+          description: 'Changes to apply to every selected issue',
+          properties: {
+            status: { type: 'string', description: 'New status' },
+            priority: { type: 'string', description: 'New priority: urgent, high, medium, low, none' },
+            type: { type: 'string', description: 'New task type name' },
+            milestone: { type: 'string', description: 'Milestone name to set, or empty string to clear' },
+            addLabels: { type: 'array', items: { type: 'string' }, description: 'Labels to add' },
+            removeLabels: { type: 'array', items: { type: 'string' }, description: 'Labels to remove' }
+          }
+        }
+      },
+      required: ['changes']
+    }
+  },
+  {
+    name: 'delete_issue',
+    description: 'Permanently delete an issue. Sub-issues are detached unless deleteSubIssues is set, and dependencies or relations on other issues that point at it are removed. Requires confirm: true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueId: {
+          type: 'string',
+          description: 'Issue identifier (e.g., "PRYLA-42")'
+        },
+        deleteSubIssues: {
+          type: 'boolean',
+          description: 'Also delete all sub-issues recursively (default: false, sub-issues are moved to the top level)'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Must be true to confirm the deletion'
+        }
+      },
+      required: ['issueId', 'confirm']
+    }
+  },
+  {
+    name: 'delete_label',
+    description: 'Permanently delete a label and remove it from all issues. Requires confirm: true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Label name'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Must be true to confirm the deletion'
+        }
+      },
+      required: ['name', 'confirm']
+    }
+  },
+  {
+    name: 'delete_milestone',
+    description: 'Permanently delete a milestone and clear it from all its issues. Requires confirm: true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project identifier (e.g., "PRYLA")'
+        },
+        name: {
+          type: 'string',
+          description: 'Milestone name'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Must be true to confirm the deletion'
+        }
+      },
+      required: ['project', 'name', 'confirm']
+    }
+  },
+  {
+    name: 'list_workspaces',
+    description: 'List the Huly workspaces this server is configured for; pass one as "workspace" to any other tool',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'get_audit_log',
+    description: 'Query the audit log of changes made through this server, newest first, with before/after values and success or failure',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: {
+          type: 'string',
+          description: 'Only entries at or after this time (ISO 8601, e.g., "2025-03-01")'
+        },
+        until: {
+          type: 'string',
+          description: 'Only entries before this time (ISO 8601)'
+        },
+        tool: {
+          type: 'string',
+          description: 'Only calls of this tool (e.g., "update_issue")'
+        },
+        issueId: {
+          type: 'string',
+          description: 'Only entries that changed this issue (e.g., "PRYLA-42")'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of entries to return (default: 50)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'undo',
+    description: 'Revert the last changes made through this server, or one audit log entry by id. Refuses when a document has since been changed by someone else.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        count: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Number of most recent changes to revert, newest first (default: 1)'
+        },
+        auditId: {
+          type: 'string',
+          description: 'Revert this audit log entry instead (see get_audit_log)'
+        }
+      },
+      required: []
+    }
+  }
+];
+
+// Every other tool can target a workspace other than the default
+for (const tool of TOOLS) {
+  if (tool.name !== 'list_workspaces') {
+    tool.inputSchema.properties.workspace = {
+      type: 'string',
+      description: 'Workspace to use (see list_workspaces; default: the configured default workspace)'
+    };
+  }
+}
+
+// Tools that change workspace data; hidden and rejected in read-only mode
+const MUTATING_TOOLS = new Set([
+  'create_issue', 'update_issue', 'bulk_update_issues', 'delete_issue',
+  'add_label', 'remove_label', 'create_label', 'delete_label',
+  'add_relation', 'add_blocked_by', 'set_parent', 'remove_relation', 'remove_blocked_by', 'clear_parent',
+  'create_milestone', 'update_milestone', 'set_milestone', 'delete_milestone',
+  'add_comment', 'update_comment', 'delete_comment',
+  'set_estimate', 'log_time',
+  'create_component',
+  'undo'
+]);
+
+// Mutating tools can preview their changes
+for (const tool of TOOLS) {
+  if (MUTATING_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties.dryRun = {
+      type: 'boolean',
+      description: 'Resolve everything and return the planned changes without applying them'
+    };
+  }
+}
+
+// Arguments naming issues a mutating tool may change
+const ISSUE_ID_ARGUMENTS = ['issueId', 'relatedToIssueId', 'blockedByIssueId', 'parentIssueId'];
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+const TOOL_ALLOW_PATTERNS = HULY_TOOLS_ALLOW.map(globToRegExp);
+const TOOL_DENY_PATTERNS = HULY_TOOLS_DENY.map(globToRegExp);
+
+// Why a tool is unavailable, or null when it may be listed and called
+function toolDisabledReason(name) {
+  if (HULY_READ_ONLY && MUTATING_TOOLS.has(name)) {
+    return 'the server is in read-only mode (HULY_READ_ONLY)';
+  }
+  if (TOOL_DENY_PATTERNS.some(pattern => pattern.test(name))) {
+    return 'it is denied by HULY_TOOLS_DENY';
+  }
+  if (TOOL_ALLOW_PATTERNS.length > 0 && !TOOL_ALLOW_PATTERNS.some(pattern => pattern.test(name))) {
+    return 'it is not in HULY_TOOLS_ALLOW';
+  }
+  return null;
+}
+
+// Project identifiers a call refers to, from project arguments and issue IDs
+function referencedProjects(args) {
+  const issueIds = [
+    ...ISSUE_ID_ARGUMENTS.map(key => args[key]),
+    ...(Array.isArray(args.issueIds) ? args.issueIds : [])
+  ].filter(Boolean);
+
+  const projects = [
+    args.project,
+    args.filter?.project,
+    ...issueIds.map(id => String(id).replace(/-\d+$/, ''))
+  ].filter(Boolean).map(p => String(p).toUpperCase());
+
+  return [...new Set(projects)];
+}
+
+// Reject calls to disabled tools and writes outside HULY_WRITE_PROJECTS
+function checkToolAccess(name, args) {
+  const reason = toolDisabledReason(name);
+  if (reason) {
+    throw new HulyError('FORBIDDEN', `Tool ${name} is not available: ${reason}`);
+  }
+
+  if (HULY_WRITE_PROJECTS.length === 0 || !MUTATING_TOOLS.has(name)) {
+    return;
+  }
+
+  const projects = referencedProjects(args);
+  if (projects.length === 0) {
+    throw new HulyError('FORBIDDEN', `Tool ${name} changes workspace-wide data, but writes are restricted to projects: ${HULY_WRITE_PROJECTS.join(', ')}`);
+  }
+
+  const denied = projects.filter(p => !HULY_WRITE_PROJECTS.includes(p));
+  if (denied.length > 0) {
+    throw new HulyError('FORBIDDEN', `Writes to ${denied.join(', ')} are not allowed. Writable projects: ${HULY_WRITE_PROJECTS.join(', ')}`);
+  }
+}
+
+// Tools only check arguments against undefined, so null object properties are
+// dropped before validation and treated exactly like omitted ones
+function withoutNulls(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, item]) => item !== null)
+    .map(([key, item]) => [key, withoutNulls(item)]));
+}
+
+// Problems with a value against a JSON schema, limited to the keywords TOOLS use
+function schemaProblems(schema, value, path) {
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  const matchesType = schema.type === 'integer' ? Number.isInteger(value) : schema.type === type;
+  if (schema.type && !matchesType) {
+    return [`${path} must be ${['array', 'object', 'integer'].includes(schema.type) ? 'an' : 'a'} ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${path} must be at least ${schema.minimum}`];
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    return [`${path} must be greater than ${schema.exclusiveMinimum}`];
+  }
+
+  const problems = [];
+  if (type === 'object' && schema.properties) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        problems.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const name = path ? `${path}.${key}` : key;
+      if (!schema.properties[key]) {
+        problems.push(`Unknown argument: ${name}`);
+      } else if (item !== undefined) {
+        problems.push(...schemaProblems(schema.properties[key], item, name));
+      }
+    }
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => problems.push(...schemaProblems(schema.items, item, `${path}[${index}]`)));
+  }
+  return problems;
+}
+
+function validateToolArguments(name, args) {
+  const tool = TOOLS.find(t => t.name === name);
+  if (!tool) {
+    throw new HulyError('NOT_FOUND', `Unknown tool: ${name}`, TOOLS.filter(t => !toolDisabledReason(t.name)).map(t => t.name));
+  }
+
+  const problems = schemaProblems(tool.inputSchema, args, '');
+  if (problems.length > 0) {
+    const unknown = problems.some(p => p.startsWith('Unknown argument'));
+    throw new HulyError('INVALID_ARGUMENT', `Invalid arguments for ${name}: ${problems.join('; ')}`,
+      unknown ? Object.keys(tool.inputSchema.properties) : undefined);
+  }
+}
+
+// Error response body: message, stable code and suggestions where there are any
+function errorDetails(error) {
+  const code = error instanceof HulyError ? error.code : isConnectionError(error) ? 'CONNECTION' : 'INTERNAL';
+  return {
+    error: error.message,
+    code,
+    ...(error.suggestions?.length ? { suggestions: error.suggestions } : {})
+  };
+}
+
+// Tool implementations
+async function listWorkspaces() {
+  const defaultWorkspace = resolveWorkspace();
+
+  return HULY_WORKSPACES.map(workspace => {
+    let auth;
+    try {
+      auth = resolveCredentials(workspace).description;
+    } catch (error) {
+      auth = `not configured: ${error.message}`;
+    }
+
+    return {
+      name: workspace,
+      url: workspaceUrl(workspace),
+      default: workspace === defaultWorkspace,
+      connected: Boolean(connections.get(workspace)?.client),
+      auth
+    };
+  });
+}
+
+async function listProjects() {
+  const client = await getClient();
+  const projects = await getProjects(client);
+
+  const result = [];
+  for (const project of projects) {
+    result.push({
+      id: project._id,
+      identifier: project.identifier,
+      name: project.name || project.identifier,
+      issueCount: await countIssues(client, { space: project._id })
+    });
+  }
+
+  return result;
+}
+
+// Helper to count issues without loading them
+async function countIssues(client, query) {
+  const found = await client.findAll(tracker.class.Issue, query, { limit: 1, total: true });
+  return found.total ?? found.length;
+}
+
+async function getProject(identifier) {
+  const client = await getClient();
+  const project = await requireProject(client, identifier);
+
+  return {
+    id: project._id,
+    identifier: project.identifier,
+    name: project.name || project.identifier,
+    description: project.description || '',
+    issueCount: await countIssues(client, { space: project._id })
+  };
+}
+
+async function listIssues(project, status, priority, label, milestone, assignee, component, limit = 50, cursor, offset = 0) {
+  const client = await getClient();
+
+  // Find project
+  const proj = await requireProject(client, project);
+
+  const query = await buildIssueQuery(client, proj, { status, priority, label, milestone, assignee, component });
+
+  // Page by keyset on modifiedOn: the cursor remembers the last timestamp and
+  // the issues already returned at that timestamp, so ties are never skipped
+  const position = cursor ? decodeIssueCursor(cursor) : null;
+  let pageOffset = offset;
+  let pageQuery = query;
+  if (position) {
+    pageOffset = position.offset;
+    pageQuery = {
+      ...query,
+      modifiedOn: { $lte: position.modifiedOn },
+      _id: query._id
+        ? { $in: query._id.$in.filter(id => !position.ids.includes(id)) }
+        : { $nin: position.ids }
+    };
+  }
+
+  const skip = position ? 0 : pageOffset;
+  const found = await client.findAll(tracker.class.Issue, pageQuery, {
+    limit: limit + skip,
+    sort: { modifiedOn: -1 },
+    total: true
+  });
+
+  const issues = found.slice(skip);
+  const total = position ? pageOffset + found.total : found.total;
+  const hasMore = pageOffset + issues.length < total;
+
+  let nextCursor = null;
+  if (hasMore && issues.length > 0) {
+    const last = issues[issues.length - 1];
+    const idsAtLast = issues.filter(i => i.modifiedOn === last.modifiedOn).map(i => i._id);
+    const carried = position?.modifiedOn === last.modifiedOn ? position.ids : [];
+    nextCursor = encodeIssueCursor({
+      modifiedOn: last.modifiedOn,
+      ids: [...carried, ...idsAtLast],
+      offset: pageOffset + issues.length
+    });
+  }
+
+  return {
+    issues: await summarizeIssues(client, issues),
+    total,
+    offset: pageOffset,
+    nextCursor
+  };
+}
+
+function encodeIssueCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeIssueCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.modifiedOn !== 'number' || !Array.isArray(position.ids)) {
+      throw new Error('missing fields');
+    }
+    return { modifiedOn: position.modifiedOn, ids: position.ids, offset: position.offset || 0 };
+  } catch (err) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid cursor: ${cursor}`);
+  }
+}
+
+// Helper to translate list_issues filters into a Huly query for a project
+async function buildIssueQuery(client, proj, filters) {
+  const { status, priority, label, milestone, assignee, component } = filters;
+  const query = { space: proj._id };
+
+  if (priority) {
+    query.priority = parsePriority(priority);
+  }
+
+  // Resolve status names to ids so the filter runs on the server
+  if (status) {
+    const statuses = await getStatuses(client);
+    const matching = statuses.filter(s => s.name.toLowerCase() === status.toLowerCase());
+    if (matching.length === 0) {
+      const available = [...new Set(statuses.map(s => s.name))];
+      throw new HulyError('NOT_FOUND', `Status "${status}" not found. Available statuses: ${available.join(', ')}`, available);
+    }
+    query.status = { $in: matching.map(s => s._id) };
+  }
+
+  // Filter by milestone if provided
+  if (milestone) {
+    const milestones = await getMilestones(client, proj._id);
+    const found = milestones.find(m => m.label.toLowerCase() === milestone.toLowerCase());
+    if (!found) {
+      const available = milestones.map(m => m.label);
+      throw new HulyError('NOT_FOUND', `Milestone "${milestone}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
+    }
+    query.milestone = found._id;
+  }
+
+  // Filter by assignee if provided
+  if (assignee) {
+    const member = await resolveMember(client, assignee);
+    query.assignee = member.id;
+  }
+
+  // Filter by component if provided
+  if (component) {
+    const components = await getComponents(client, proj._id);
+    query.component = findComponentByName(components, component)._id;
+  }
+
+  // Resolve label to the issues carrying it via TagReference
+  if (label) {
+    const labels = await getLabels(client);
+    const tagElements = labels.filter(t => t.title === label);
+    if (tagElements.length === 0) {
+      throw new HulyError('NOT_FOUND', `Label "${label}" not found. Use list_labels to see available labels.`, [...new Set(labels.map(t => t.title))]);
+    }
+    const labelled = await client.findAll(tags.class.TagReference, {
+      tag: { $in: tagElements.map(t => t._id) },
+      attachedToClass: tracker.class.Issue,
+      space: proj._id
+    });
+    query._id = { $in: [...new Set(labelled.map(r => r.attachedTo))] };
+  }
+
+  return query;
+}
+
+// Helper to build the list_issues result shape for issues from any project
+async function summarizeIssues(client, issues) {
+  const spaces = [...new Set(issues.map(i => i.space))];
+
+  // Resolve projects, statuses, milestones, components and assignees up front
+  const projects = await getProjects(client);
+  const projectMap = new Map(projects.map(p => [p._id, p.identifier]));
+
+  const statuses = await getStatuses(client);
+  const statusMap = new Map(statuses.map(s => [s._id, s.name]));
+
+  const milestoneMap = new Map();
+  const componentMap = new Map();
+  for (const space of spaces) {
+    for (const m of await getMilestones(client, space)) {
+      milestoneMap.set(m._id, m.label);
+    }
+    for (const c of await getComponents(client, space)) {
+      componentMap.set(c._id, c.label);
+    }
+  }
+
+  const assigneeMap = await loadPersonNames(client, issues.map(i => i.assignee));
+
+  // Load labels for all issues in one query
+  const labelMap = new Map();
+  if (issues.length > 0) {
+    const tagRefs = await client.findAll(tags.class.TagReference, {
+      attachedTo: { $in: issues.map(i => i._id) }
+    });
+    for (const ref of tagRefs) {
+      if (!labelMap.has(ref.attachedTo)) {
+        labelMap.set(ref.attachedTo, []);
+      }
+      labelMap.get(ref.attachedTo).push(ref.title);
+    }
+  }
+
+  // Build result with labels and milestone
+  const result = [];
+  for (const issue of issues) {
+    result.push({
+      id: `${projectMap.get(issue.space)}-${issue.number}`,
+      title: issue.title,
+      status: statusMap.get(issue.status) || 'Unknown',
+      priority: PRIORITY_NAMES[issue.priority] || 'Unknown',
+      labels: labelMap.get(issue._id) || [],
+      milestone: issue.milestone ? milestoneMap.get(issue.milestone) || null : null,
+      assignee: issue.assignee ? assigneeMap.get(issue.assignee) || null : null,
+      component: issue.component ? componentMap.get(issue.component) || null : null
+    });
+  }
+
+  return result;
+}
+
+// Without full-text search, only the most recently modified issues are scanned,
+// and descriptions are fetched for a smaller slice of them in parallel batches
+const SEARCH_SCAN_LIMIT = 1000;
+const SEARCH_DESCRIPTION_SCAN_LIMIT = 200;
+const SEARCH_DESCRIPTION_BATCH_SIZE = 20;
+
+async function searchIssues(queryText, projectIdents, limit = 20) {
+  const client = await getClient();
+
+  // Resolve projects to search
+  let projects;
+  if (projectIdents && projectIdents.length > 0) {
+    projects = [];
+    for (const ident of projectIdents) {
+      const project = await requireProject(client, ident);
+      projects.push(project);
+    }
+  } else {
+    projects = await getProjects(client);
+  }
+  const spaces = projects.map(p => p._id);
+
+  // Prefer Huly's full-text index, which already ranks results
+  let ranked = null;
+  if (typeof client.searchFulltext === 'function') {
+    try {
+      const found = await client.searchFulltext({
+        query: queryText,
+        classes: [tracker.class.Issue],
+        spaces
+      }, { limit });
+
+      const ids = found.docs.map(d => d.doc?._id ?? d.id);
+      if (ids.length > 0) {
+        const issues = await client.findAll(tracker.class.Issue, {
+          _id: { $in: ids },
+          space: { $in: spaces }
+        });
+        const issueMap = new Map(issues.map(i => [i._id, i]));
+        const scores = new Map(found.docs.map(d => [d.doc?._id ?? d.id, d.score ?? null]));
+        ranked = ids
+          .filter(id => issueMap.has(id))
+          .map(id => ({ issue: issueMap.get(id), score: scores.get(id) }));
+      }
+    } catch (err) {
+      console.error('[searchIssues] Full-text search failed, falling back to local matching:', err.message);
+    }
+  }
+
+  if (!ranked || ranked.length === 0) {
+    ranked = await searchIssuesLocally(client, queryText, projects);
+  }
+
+  ranked = ranked.slice(0, limit);
+  const summaries = await summarizeIssues(client, ranked.map(r => r.issue));
+  return summaries.map((summary, i) => ({ ...summary, score: ranked[i].score }));
+}
+
+async function searchIssuesLocally(client, queryText, projects) {
+  const terms = queryText.toLowerCase().split(/\s+/).filter(Boolean);
+  const phrase = queryText.trim().toLowerCase();
+  const projectMap = new Map(projects.map(p => [p._id, p.identifier]));
+
+  const issues = await client.findAll(tracker.class.Issue, {
+    space: { $in: projects.map(p => p._id) }
+  }, {
+    sort: { modifiedOn: -1 },
+    limit: SEARCH_SCAN_LIMIT
+  });
+
+  const descriptions = [];
+  const described = issues.slice(0, SEARCH_DESCRIPTION_SCAN_LIMIT);
+  for (let i = 0; i < described.length; i += SEARCH_DESCRIPTION_BATCH_SIZE) {
+    const batch = described.slice(i, i + SEARCH_DESCRIPTION_BATCH_SIZE);
+    descriptions.push(...await Promise.all(batch.map(issue => fetchMarkupContent(
+      client,
+      tracker.class.Issue,
+      issue._id,
+      'description',
+      issue.description
+    ))));
+  }
+
+  const ranked = [];
+  for (const [index, issue] of issues.entries()) {
+    const identifier = `${projectMap.get(issue.space)}-${issue.number}`.toLowerCase();
+    const title = (issue.title || '').toLowerCase();
+    const description = (descriptions[index] || '').toLowerCase();
+
+    // Every term must appear somewhere; title hits weigh more than description hits
+    let score = 0;
+    let allTermsFound = true;
+    for (const term of terms) {
+      const inTitle = title.includes(term) || identifier === term;
+      const inDescription = description.includes(term);
+      if (!inTitle && !inDescription) {
+        allTermsFound = false;
+        break;
+      }
+      score += (inTitle ? 3 : 0) + (inDescription ? 1 : 0);
+    }
+
+    if (!allTermsFound || score === 0) {
+      continue;
+    }
+
+    if (title.includes(phrase)) {
+      score += 5;
+    }
+
+    ranked.push({ issue, score });
+  }
+
+  // Stable sort keeps most recently modified first among equal scores
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+async function getIssueTree(issueId, depth = 5) {
+  const client = await getClient();
+  const { project, issue: root } = await parseAndFindIssue(client, issueId);
+
+  // Load sub-issues level by level with one query per level
+  const childrenOf = new Map();
+  let level = [root];
+  for (let d = 0; d < depth && level.length > 0; d++) {
+    const children = await client.findAll(tracker.class.Issue, {
+      attachedTo: { $in: level.map(i => i._id) },
+      attachedToClass: tracker.class.Issue
+    }, {
+      sort: { number: 1 }
+    });
+    for (const child of children) {
+      if (!childrenOf.has(child.attachedTo)) {
+        childrenOf.set(child.attachedTo, []);
+      }
+      childrenOf.get(child.attachedTo).push(child);
+    }
+    level = children;
+  }
+
+  // Issues on the last loaded level may have children beyond the depth limit
+  const truncated = new Set(level.filter(i => (i.subIssues || 0) > 0).map(i => i._id));
+
+  const allIssues = [root, ...[...childrenOf.values()].flat()];
+  const statuses = await getStatuses(client);
+  const statusMap = new Map(statuses.map(s => [s._id, s]));
+  const assigneeMap = await loadPersonNames(client, allIssues.map(i => i.assignee));
+  const projectMap = new Map((await getProjects(client)).map(p => [p._id, p.identifier]));
+
+  const isDone = (issue) => {
+    const category = statusMap.get(issue.status)?.category;
+    return category === task.statusCategory.Won || category === task.statusCategory.Lost;
+  };
+
+  const buildNode = (issue) => {
+    const children = (childrenOf.get(issue._id) || []).map(buildNode);
+
+    // Roll up progress over this issue's loaded descendants
+    const progress = {
+      done: children.reduce((sum, c) => sum + c.progress.done + (c.done ? 1 : 0), 0),
+      total: children.reduce((sum, c) => sum + c.progress.total + 1, 0),
+      estimation: (issue.estimation || 0) + children.reduce((sum, c) => sum + c.progress.estimation, 0),
+      reportedTime: (issue.reportedTime || 0) + children.reduce((sum, c) => sum + c.progress.reportedTime, 0)
+    };
+
+    // Below the depth limit, fall back to the time totals recorded in childInfo
+    if (truncated.has(issue._id)) {
+      for (const info of issue.childInfo || []) {
+        progress.estimation += info.estimation || 0;
+        progress.reportedTime += info.reportedTime || 0;
+      }
+    }
+
+    return {
+      id: `${projectMap.get(issue.space) || project.identifier}-${issue.number}`,
+      title: issue.title,
+      status: statusMap.get(issue.status)?.name || 'Unknown',
+      done: isDone(issue),
+      priority: PRIORITY_NAMES[issue.priority] || 'Unknown',
+      assignee: issue.assignee ? assigneeMap.get(issue.assignee) || null : null,
+      estimation: issue.estimation || 0,
+      reportedTime: issue.reportedTime || 0,
+      progress,
+      ...(truncated.has(issue._id) ? { truncated: true, childCount: issue.subIssues } : {}),
+      children
+    };
+  };
+
+  return buildNode(root);
+}
+
+// Helper to read a markup attribute as Markdown
+// The value can be either:
+// 1. A MarkupBlobRef (format: objectId-attr-timestamp) pointing to collaborative document
+// 2. A plain string (when set via API without collaborative document)
+async function fetchMarkupContent(client, _class, objectId, attribute, value) {
+  if (!value) {
+    return '';
+  }
+
+  // Check if it looks like a blob reference (contains timestamp pattern)
+  const looksLikeBlobRef = typeof value === 'string' &&
+    new RegExp(`^[a-f0-9]+-${attribute}-\\d+$`).test(value);
+
+  if (!looksLikeBlobRef) {
+    // Plain string - use directly
+    return value;
+  }
+
+  // Try to fetch from collaborative document system
+  try {
+    return await client.fetchMarkup(_class, objectId, attribute, value, 'markdown');
+  } catch (err) {
+    // Fallback to raw value if fetch fails
+    return value;
+  }
+}
+
+async function getIssue(issueId) {
+  const client = await getClient();
+
+  // Parse issue ID (e.g., "PRYLA-42")
+  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}. Expected format: PROJECT-NUMBER`);
+  }
+
+  const [, projectId, issueNum] = match;
+
+  // Find project
+  const project = await requireProject(client, projectId);
+
+  // Find issue
+  const issue = await client.findOne(tracker.class.Issue, {
+    space: project._id,
+    number: parseInt(issueNum)
+  });
+
+  if (!issue) {
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
+  }
+
+  // Get status name
+  const status = (await getStatuses(client)).find(s => s._id === issue.status);
+
+  // Get labels
+  const issueLabels = await client.findAll(tags.class.TagReference, {
+    attachedTo: issue._id
+  });
+
+  // Get description content
+  const descriptionContent = await fetchMarkupContent(
+    client,
+    tracker.class.Issue,
+    issue._id,
+    'description',
+    issue.description
+  );
+
+  // Get parent issue if this issue has one
+  let parentId = null;
+  if (issue.attachedTo && issue.attachedToClass === tracker.class.Issue) {
+    const parentIssue = await client.findOne(tracker.class.Issue, { _id: issue.attachedTo });
+    if (parentIssue) {
+      // Find parent's project to get identifier
+      const parentProject = (await getProjects(client)).find(p => p._id === parentIssue.space);
+      if (parentProject) {
+        parentId = `${parentProject.identifier}-${parentIssue.number}`;
+      }
+    }
+  }
+
+  // Get child issues count
+  const childCount = issue.subIssues || 0;
+
+  // Resolve dependency and relation links to identifiers
+  const linkIdentifiers = await loadIssueIdentifiers(client, [
+    ...(issue.blockedBy || []).map(r => r._id),
+    ...(issue.relations || []).map(r => r._id)
+  ]);
+
+  // Get milestone if assigned
+  let milestoneInfo = null;
+  if (issue.milestone) {
+    const milestone = (await getMilestones(client, issue.space)).find(m => m._id === issue.milestone);
+    if (milestone) {
+      milestoneInfo = {
+        id: milestone._id,
+        name: milestone.label,
+        status: MILESTONE_STATUS_NAMES[milestone.status] || 'Unknown'
+      };
+    }
+  }
+
+  // Get component name if set
+  let componentName = null;
+  if (issue.component) {
+    const component = (await getComponents(client, issue.space)).find(c => c._id === issue.component);
+    componentName = component?.label || null;
+  }
+
+  // Get assignee name if assigned
+  let assigneeName = null;
+  if (issue.assignee) {
+    const person = await client.findOne(contact.class.Person, { _id: issue.assignee });
+    assigneeName = person ? formatPersonName(person.name) : null;
+  }
+
+  return {
+    id: `${project.identifier}-${issue.number}`,
+    internalId: issue._id,
+    title: issue.title,
+    description: descriptionContent,
+    status: status?.name || 'Unknown',
+    statusId: issue.status,
+    priority: PRIORITY_NAMES[issue.priority] || 'Unknown',
+    kind: issue.kind,
+    labels: issueLabels.map(l => l.title),
+    parent: parentId,
+    childCount: childCount,
+    blockedBy: (issue.blockedBy || []).map(r => linkIdentifiers.get(r._id) || r._id),
+    relations: (issue.relations || []).map(r => linkIdentifiers.get(r._id) || r._id),
+    milestone: milestoneInfo,
+    assignee: assigneeName,
+    component: componentName,
+    createdOn: issue.createdOn,
+    modifiedOn: issue.modifiedOn
+  };
+}
+
+async function createIssue(projectIdent, title, description, priority, status, labels, type, assignee, component) {
+  const client = await getClient();
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  const priorityValue = priority ? parsePriority(priority) : 0;
+
+  // Resolve assignee before allocating an issue number
+  let assigneeMember = null;
+  if (assignee) {
+    assigneeMember = await resolveMember(client, assignee);
+  }
+
+  // Resolve component by name
+  let componentDoc = null;
+  if (component) {
+    const components = await getComponents(client, project._id);
+    componentDoc = findComponentByName(components, component);
+  }
+
+  // Find status
+  let statusId;
+  const statuses = await getStatuses(client);
+  if (status) {
+    statusId = findStatusByName(statuses, status)._id;
+  }
+  if (!statusId) {
+    const todoStatus = statuses.find(s => s.name === 'Todo');
+    statusId = todoStatus?._id || statuses[0]?._id;
+  }
+
+  // Find task type if specified
+  let taskTypeId = tracker.taskTypes.Issue;  // Default to Issue type
+  if (type) {
+    taskTypeId = await findTaskTypeByName(client, projectIdent, type);
+  }
+
+  // Allocate the issue number only once everything else has resolved
+  let nextNumber = await allocateIssueNumber(client, project);
+
+  // Create issue using addCollection (Issues are AttachedDoc, not regular Doc)
+  const issueId = generateId();
+  await client.addCollection(
+    tracker.class.Issue,
+    project._id,
+    project._id,
+    tracker.class.Project,
+    'issues',
+    {
+      title,
+      identifier: `${project.identifier}-${nextNumber}`,
+      description: '',  // Start with empty, update after if description provided
+      status: statusId,
+      priority: priorityValue,
+      number: nextNumber,
+      assignee: assigneeMember?.id ?? null,
+      component: componentDoc?._id ?? null,
+      milestone: null,
+      estimation: 0,
+      remainingTime: 0,
+      reportedTime: 0,
+      childInfo: [],
+      parents: [],
+      kind: taskTypeId
+    },
+    issueId
+  );
+
+  // Repair the number if another writer produced the same identifier
+  nextNumber = await ensureUniqueIssueNumber(client, project, issueId, nextNumber);
+
+  // If description provided, upload via collaborator service to get proper MarkupBlobRef
+  if (description) {
+    try {
+      const markupRef = await client.markup.uploadMarkup(
+        tracker.class.Issue,
+        issueId,
+        'description',
+        description,
+        'markdown'
+      );
+      await client.updateDoc(tracker.class.Issue, project._id, issueId, {
+        description: markupRef
+      });
+    } catch (err) {
+      console.error('[createIssue] Collaborator error:', err.message);
+      // Fallback to plain string
+      await client.updateDoc(tracker.class.Issue, project._id, issueId, {
+        description: description
+      });
+    }
+  }
+
+  // Add labels if provided
+  if (labels && labels.length > 0) {
+    for (const labelName of labels) {
+      await addLabelToIssue(client, issueId, project._id, labelName);
+    }
+  }
+
+  return {
+    id: `${project.identifier}-${nextNumber}`,
+    internalId: issueId,
+    title,
+    status: status || 'Todo',
+    priority: priority || 'none',
+    assignee: assigneeMember?.name ?? null,
+    component: componentDoc?.label ?? null
+  };
+}
+
+// Maximum renumbering attempts when an issue number collides
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Atomically increment the project's sequence and read back the new value
+async function allocateIssueNumber(client, project) {
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const result = await client.updateDoc(
+      tracker.class.Project,
+      project.space || project._id,
+      project._id,
+      { $inc: { sequence: 1 } },
+      true
+    );
+
+    const number = result?.object?.sequence;
+    if (typeof number !== 'number') {
+      throw new HulyError('CONFLICT', `Failed to allocate issue number for project ${project.identifier}`);
+    }
+
+    // Skip numbers already taken, e.g. by clients that bumped the sequence non-atomically
+    const taken = await client.findOne(tracker.class.Issue, { space: project._id, number });
+    if (!taken) {
+      return number;
+    }
+    console.error(`[allocateIssueNumber] ${project.identifier}-${number} already exists, allocating again`);
+  }
+
+  throw new HulyError('CONFLICT', `Failed to allocate a free issue number for project ${project.identifier}`);
+}
+
+// Detect a duplicate number after creation; the later issue gives way and is renumbered
+async function ensureUniqueIssueNumber(client, project, issueId, number) {
+  let current = number;
+
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const sameNumber = await client.findAll(tracker.class.Issue, {
+      space: project._id,
+      number: current
+    });
+
+    const ours = sameNumber.find(i => i._id === issueId);
+    const winner = sameNumber.reduce((first, i) =>
+      !first || i.createdOn < first.createdOn || (i.createdOn === first.createdOn && i._id < first._id) ? i : first
+    , null);
+
+    if (sameNumber.length <= 1 || !ours || winner._id === issueId) {
+      return current;
+    }
+
+    console.error(`[ensureUniqueIssueNumber] Collision on ${project.identifier}-${current}, renumbering ${issueId}`);
+    current = await allocateIssueNumber(client, project);
+    await client.updateDoc(tracker.class.Issue, project._id, issueId, {
+      number: current,
+      identifier: `${project.identifier}-${current}`
+    });
+  }
+
+  throw new HulyError('CONFLICT', `Failed to assign a unique issue number in project ${project.identifier}`);
+}
+
+async function updateIssue(issueId, title, description, priority, status, type, assignee, component) {
+  const client = await getClient();
+
+  // Parse and find issue
+  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}`);
+  }
+
+  const [, projectId, issueNum] = match;
+
+  const project = await requireProject(client, projectId);
+
+  const issue = await client.findOne(tracker.class.Issue, {
+    space: project._id,
+    number: parseInt(issueNum)
+  });
+
+  if (!issue) {
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
+  }
+
+  // Build update operations
+  const updates = {};
+  const updatedFields = [];
+
+  if (title !== undefined) {
+    updates.title = title;
+    updatedFields.push('title');
+  }
+
+  if (priority !== undefined) {
+    updates.priority = parsePriority(priority);
+    updatedFields.push('priority');
+  }
+
+  if (status !== undefined) {
+    const statuses = await getStatuses(client);
+    console.error(`[updateIssue] Available statuses: ${statuses.map(s => `${s.name} (${s._id})`).join(', ')}`);
+    console.error(`[updateIssue] Looking for status: "${status}"`);
+    console.error(`[updateIssue] Current issue status: ${issue.status}`);
+
+    const found = findStatusByName(statuses, status);
+    console.error(`[updateIssue] Found status: ${found.name} (${found._id})`);
+    updates.status = found._id;
+    updatedFields.push('status');
+  }
+
+  // Handle task type change
+  if (type !== undefined) {
+    const taskTypeId = await findTaskTypeByName(client, projectId, type);
+    updates.kind = taskTypeId;
+    updatedFields.push('type');
+  }
+
+  // Handle assignee change (empty string unassigns)
+  if (assignee !== undefined) {
+    if (!assignee || assignee.trim() === '') {
+      updates.assignee = null;
+    } else {
+      const member = await resolveMember(client, assignee);
+      updates.assignee = member.id;
+    }
+    updatedFields.push('assignee');
+  }
+
+  // Handle component change (empty string clears)
+  if (component !== undefined) {
+    if (!component || component.trim() === '') {
+      updates.component = null;
+    } else {
+      const components = await getComponents(client, project._id);
+      updates.component = findComponentByName(components, component)._id;
+    }
+    updatedFields.push('component');
+  }
+
+  // Apply non-description updates
+  if (Object.keys(updates).length > 0) {
+    console.error(`[updateIssue] Applying updates to ${issueId}:`, JSON.stringify(updates));
+    console.error(`[updateIssue] project._id: ${project._id}, issue._id: ${issue._id}`);
+    await client.updateDoc(tracker.class.Issue, project._id, issue._id, updates);
+    console.error(`[updateIssue] updateDoc completed`);
+  }
+
+  // Handle description update using collaborative document system
+  if (description !== undefined) {
+    try {
+      // Upload markup to get a proper MarkupBlobRef
+      const markupRef = await client.markup.uploadMarkup(
+        tracker.class.Issue,
+        issue._id,
+        'description',
+        description,
+        'markdown'
+      );
+
+      // Update issue with the blob reference
+      await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+        description: markupRef
+      });
+      updatedFields.push('description');
+    } catch (err) {
+      // Log detailed error for debugging
+      console.error('[updateIssue] Collaborator error:', err.message);
+
+      // Fallback: store as plain string (won't render in Huly UI but readable via API)
+      console.error('[updateIssue] Falling back to plain string storage');
+      await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+        description: description
+      });
+      updatedFields.push('description (plain)');
+    }
+  }
+
+  return {
+    id: issueId,
+    updated: updatedFields
+  };
+}
+
+async function addLabelToIssue(client, issueId, space, labelName) {
+  // Find or create tag element (re-check the server before creating, the cache may be stale)
+  let tagElement = (await getLabels(client)).find(t => t.title === labelName) ??
+    await client.findOne(tags.class.TagElement, {
+      title: labelName,
+      targetClass: tracker.class.Issue
+    });
+
+  if (!tagElement) {
+    // Create the tag
+    const tagId = generateId();
+    await client.createDoc(tags.class.TagElement, space, {
+      title: labelName,
+      targetClass: tracker.class.Issue,
+      description: '',
+      color: 0x4ECDC4,
+      category: 'tracker:category:Other'
+    }, tagId);
+    invalidateCache('labels');
+    tagElement = { _id: tagId, title: labelName, color: 0x4ECDC4 };
+  }
+
+  // Check if already attached
+  const existing = await client.findOne(tags.class.TagReference, {
+    attachedTo: issueId,
+    tag: tagElement._id
+  });
+
+  if (existing) {
+    return { message: `Label "${labelName}" already attached` };
+  }
+
+  // Add tag reference
+  await client.addCollection(
+    tags.class.TagReference,
+    space,
+    issueId,
+    tracker.class.Issue,
+    'labels',
+    {
+      title: tagElement.title,
+      color: tagElement.color || 0,
+      tag: tagElement._id
+    }
+  );
+
+  return { message: `Label "${labelName}" added` };
+}
+
+async function addLabel(issueId, labelName) {
+  const client = await getClient();
+
+  // Parse and find issue
+  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}`);
+  }
+
+  const [, projectId, issueNum] = match;
+
+  const project = await requireProject(client, projectId);
+
+  const issue = await client.findOne(tracker.class.Issue, {
+    space: project._id,
+    number: parseInt(issueNum)
+  });
+
+  if (!issue) {
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
+  }
+
+  return await addLabelToIssue(client, issue._id, project._id, labelName);
+}
+
+async function removeLabel(issueId, labelName) {
+  const client = await getClient();
+
+  // Parse and find issue
+  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}`);
+  }
+
+  const [, projectId, issueNum] = match;
+
+  const project = await requireProject(client, projectId);
+
+  const issue = await client.findOne(tracker.class.Issue, {
+    space: project._id,
+    number: parseInt(issueNum)
+  });
+
+  if (!issue) {
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
+  }
+
+  // Find and remove tag reference
+  const tagRefs = await client.findAll(tags.class.TagReference, {
+    attachedTo: issue._id
+  });
+
+  const tagRef = tagRefs.find(r => r.title.toLowerCase() === labelName.toLowerCase());
+
+  if (!tagRef) {
+    return { message: `Label "${labelName}" not found on issue` };
+  }
+
+  await client.removeDoc(tags.class.TagReference, tagRef.space, tagRef._id);
+
+  return { message: `Label "${labelName}" removed` };
+}
+
+async function listLabels() {
+  const client = await getClient();
+
+  const tagElements = await getLabels(client);
+
+  return tagElements.map(t => ({
+    name: t.title,
+    color: t.color ? `#${t.color.toString(16).padStart(6, '0')}` : null
+  }));
+}
+
+async function createLabel(name, color) {
+  const client = await getClient();
+
+  // Check if exists
+  const existing = await client.findOne(tags.class.TagElement, {
+    title: name,
+    targetClass: tracker.class.Issue
+  });
+
+  if (existing) {
+    return { message: `Label "${name}" already exists`, id: existing._id };
+  }
+
+  // Get a project space for the tag
+  const projects = await getProjects(client);
+  const space = projects.length > 0 ? projects[0]._id : 'tracker:project:Default';
+
+  const tagId = generateId();
+  await client.createDoc(tags.class.TagElement, space, {
+    title: name,
+    targetClass: tracker.class.Issue,
+    description: '',
+    color: color || 0x4ECDC4,
+    category: 'tracker:category:Other'
+  }, tagId);
+  invalidateCache('labels');
+
+  return { message: `Label "${name}" created`, id: tagId };
+}
+
+// Helper to parse issue ID and get issue
+async function parseAndFindIssue(client, issueId) {
+  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}. Expected format: PROJECT-NUMBER`);
+  }
+
+  const [, projectId, issueNum] = match;
+
+  const project = await requireProject(client, projectId);
+
+  const issue = await client.findOne(tracker.class.Issue, {
+    space: project._id,
+    number: parseInt(issueNum)
+  });
+
+  if (!issue) {
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
+  }
+
+  return { project, issue };
+}
+
+async function addRelation(issueId, relatedToIssueId) {
+  const client = await getClient();
+
+  // Find both issues
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+  const { issue: relatedIssue } = await parseAndFindIssue(client, relatedToIssueId);
+
+  // Get current relations or initialize empty array
+  const currentRelations = issue.relations || [];
+
+  // Check if relation already exists
+  const alreadyRelated = currentRelations.some(r => r._id === relatedIssue._id);
+  if (alreadyRelated) {
+    return { message: `Issues are already related` };
+  }
+
+  // Add the new relation
+  const newRelations = [...currentRelations, { _id: relatedIssue._id, _class: relatedIssue._class }];
+
+  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+    relations: newRelations
+  });
+
+  return {
+    message: `Added relation: ${issueId} is now related to ${relatedToIssueId}`,
+    issueId,
+    relatedToIssueId
+  };
+}
+
+async function addBlockedBy(issueId, blockedByIssueId) {
+  const client = await getClient();
+
+  // Find both issues
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+  const { issue: blockingIssue } = await parseAndFindIssue(client, blockedByIssueId);
+
+  // Get current blockedBy or initialize empty array
+  const currentBlockedBy = issue.blockedBy || [];
+
+  // Check if already blocked by this issue
+  const alreadyBlocked = currentBlockedBy.some(r => r._id === blockingIssue._id);
+  if (alreadyBlocked) {
+    return { message: `${issueId} is already blocked by ${blockedByIssueId}` };
+  }
+
+  // Refuse dependencies that would close a cycle
+  if (blockingIssue._id === issue._id) {
+    throw new HulyError('INVALID_ARGUMENT', `${issueId} cannot block itself`);
+  }
+  const blockingGraph = await loadBlockingGraph(client, [blockingIssue]);
+  if (blockingGraph.has(issue._id)) {
+    throw new HulyError('CONFLICT', `Cannot add dependency: ${issueId} already blocks ${blockedByIssueId} (directly or transitively), this would create a cycle`);
+  }
+
+  // Add the new blocking relation
+  const newBlockedBy = [...currentBlockedBy, { _id: blockingIssue._id, _class: blockingIssue._class }];
+
+  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+    blockedBy: newBlockedBy
+  });
+
+  return {
+    message: `Added dependency: ${issueId} is now blocked by ${blockedByIssueId}`,
+    issueId,
+    blockedByIssueId
+  };
+}
+
+async function removeRelation(issueId, relatedToIssueId) {
+  const client = await getClient();
+
+  // Find both issues
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+  const { project: relatedProject, issue: relatedIssue } = await parseAndFindIssue(client, relatedToIssueId);
+
+  // Relations are stored on one side only, so check both directions
+  let removed = false;
+
+  const currentRelations = issue.relations || [];
+  if (currentRelations.some(r => r._id === relatedIssue._id)) {
+    await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+      relations: currentRelations.filter(r => r._id !== relatedIssue._id)
+    });
+    removed = true;
+  }
+
+  const reverseRelations = relatedIssue.relations || [];
+  if (reverseRelations.some(r => r._id === issue._id)) {
+    await client.updateDoc(tracker.class.Issue, relatedProject._id, relatedIssue._id, {
+      relations: reverseRelations.filter(r => r._id !== issue._id)
+    });
+    removed = true;
+  }
+
+  if (!removed) {
+    return { message: `Issues are not related` };
+  }
+
+  return {
+    message: `Removed relation between ${issueId} and ${relatedToIssueId}`,
+    issueId,
+    relatedToIssueId
+  };
+}
+
+async function removeBlockedBy(issueId, blockedByIssueId) {
+  const client = await getClient();
+
+  // Find both issues
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+  const { issue: blockingIssue } = await parseAndFindIssue(client, blockedByIssueId);
+
+  const currentBlockedBy = issue.blockedBy || [];
+  if (!currentBlockedBy.some(r => r._id === blockingIssue._id)) {
+    return { message: `${issueId} is not blocked by ${blockedByIssueId}` };
+  }
+
+  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+    blockedBy: currentBlockedBy.filter(r => r._id !== blockingIssue._id)
+  });
+
+  return {
+    message: `Removed dependency: ${issueId} is no longer blocked by ${blockedByIssueId}`,
+    issueId,
+    blockedByIssueId
+  };
+}
+
+async function setParent(issueId, parentIssueId) {
+  const client = await getClient();
+
+  // Find both issues
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+  const { project: parentProject, issue: parentIssue } = await parseAndFindIssue(client, parentIssueId);
+
+  // Refuse to make an issue its own ancestor
+  let ancestor = parentIssue;
+  while (ancestor) {
+    if (ancestor._id === issue._id) {
+      throw new HulyError('CONFLICT', `Cannot set ${parentIssueId} as parent of ${issueId}: it would create a cycle`);
+    }
+    ancestor = ancestor.attachedToClass === tracker.class.Issue
+      ? await client.findOne(tracker.class.Issue, { _id: ancestor.attachedTo })
+      : null;
+  }
+
+  // Re-parenting: drop the stale childInfo entry from the previous parent
+  let previousParentId = null;
+  if (issue.attachedToClass === tracker.class.Issue && issue.attachedTo && issue.attachedTo !== parentIssue._id) {
+    await removeFromParentChildInfo(client, issue._id, issue.attachedTo);
+    previousParentId = issue.parents?.[0]?.identifier ?? null;
+  }
+
+  // Build parent info for the child
+  const parentInfo = {
+    parentId: parentIssue._id,
+    identifier: `${parentProject.identifier}-${parentIssue.number}`,
+    parentTitle: parentIssue.title,
+    space: parentProject._id
+  };
+
+  // Use updateCollection to properly register in the subIssues collection
+  // This updates both the child's attachedTo AND the parent's collection counter
+  await client.updateCollection(
+    tracker.class.Issue,       // _class
+    project._id,               // space
+    issue._id,                 // objectId (the child issue)
+    parentIssue._id,           // attachedTo (the parent issue)
+    tracker.class.Issue,       // attachedToClass
+    'subIssues',               // collection name
+    {                          // additional updates to the child
+      parents: [parentInfo],
+      attachedTo: parentIssue._id,
+      attachedToClass: tracker.class.Issue,
+      collection: 'subIssues'
+    }
+  );
+
+  // Build child info for the parent
+  const childInfo = {
+    childId: issue._id,
+    estimation: issue.estimation || 0,
+    reportedTime: issue.reportedTime || 0
+  };
+
+  // Get current childInfo array from parent and add new child
+  const currentChildInfo = parentIssue.childInfo || [];
+
+  // Check if child is already in the list (avoid duplicates)
+  const existingIndex = currentChildInfo.findIndex(c => c.childId === issue._id);
+  let updatedChildInfo;
+  if (existingIndex >= 0) {
+    // Update existing entry
+    updatedChildInfo = [...currentChildInfo];
+    updatedChildInfo[existingIndex] = childInfo;
+  } else {
+    // Add new entry
+    updatedChildInfo = [...currentChildInfo, childInfo];
+  }
+
+  // Update parent's childInfo array and subIssues counter
+  await client.updateDoc(tracker.class.Issue, parentProject._id, parentIssue._id, {
+    childInfo: updatedChildInfo,
+    subIssues: updatedChildInfo.length
+  });
+
+  return {
+    message: `Set parent: ${issueId} is now a child of ${parentIssueId}`,
+    issueId,
+    parentIssueId,
+    previousParentId,
+    parentChildCount: updatedChildInfo.length
+  };
+}
+
+async function clearParent(issueId) {
+  const client = await getClient();
+  const { issue } = await parseAndFindIssue(client, issueId);
+
+  if (issue.attachedToClass !== tracker.class.Issue || !issue.attachedTo) {
+    return { message: `${issueId} has no parent` };
+  }
+
+  await detachFromParent(client, issue);
+  const parentChildCount = await removeFromParentChildInfo(client, issue._id, issue.attachedTo);
+
+  return {
+    message: `Cleared parent of ${issueId}`,
+    issueId,
+    previousParentId: issue.parents?.[0]?.identifier ?? null,
+    parentChildCount
+  };
+}
+
+// Remove a child from its parent's childInfo and keep the subIssues counter in sync.
+// Returns the parent's remaining child count, or null if the parent no longer exists.
+async function removeFromParentChildInfo(client, childId, parentId) {
+  const parentIssue = await client.findOne(tracker.class.Issue, { _id: parentId });
+  if (!parentIssue) {
+    return null;
+  }
+
+  const updatedChildInfo = (parentIssue.childInfo || []).filter(c => c.childId !== childId);
+
+  await client.updateDoc(tracker.class.Issue, parentIssue.space, parentIssue._id, {
+    childInfo: updatedChildInfo,
+    subIssues: updatedChildInfo.length
+  });
+
+  return updatedChildInfo.length;
+}
+
+// Move an issue back to the top level of its project
+async function detachFromParent(client, issue) {
+  await client.updateCollection(
+    tracker.class.Issue,
+    issue.space,
+    issue._id,
+    issue.space,
+    tracker.class.Project,
+    'issues',
+    {
+      parents: [],
+      attachedTo: issue.space,
+      attachedToClass: tracker.class.Project,
+      collection: 'issues'
+    }
+  );
+}
+
+// Dependency graph functions
+async function loadIssueIdentifiers(client, issueIds) {
+  const ids = [...new Set(issueIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
   }
 
-  // Get child issues count
-  const childCount = issue.subIssues || 0;
+  const issues = await client.findAll(tracker.class.Issue, { _id: { $in: ids } });
+  const projectMap = new Map((await getProjects(client)).map(p => [p._id, p.identifier]));
+  return new Map(issues.map(i => [i._id, `${projectMap.get(i.space)}-${i.number}`]));
+}
 
-  // Get milestone if assigned
-  let milestoneInfo = null;
-  if (issue.milestone) {
-    const milestone = await client.findOne(tracker.class.Milestone, { _id: issue.milestone });
-    if (milestone) {
-      milestoneInfo = {
-        id: milestone._id,
-        name: milestone.label,
-        status: MILESTONE_STATUS_NAMES[milestone.status] || 'Unknown'
-      };
+// Walk blockedBy transitively from the seed issues, one batched query per level
+async function loadBlockingGraph(client, seedIssues) {
+  const graph = new Map(seedIssues.map(i => [i._id, i]));
+  let frontier = seedIssues;
+
+  while (frontier.length > 0) {
+    const missing = [...new Set(frontier.flatMap(i => (i.blockedBy || []).map(r => r._id)))]
+      .filter(id => !graph.has(id));
+    if (missing.length === 0) {
+      break;
+    }
+
+    frontier = await client.findAll(tracker.class.Issue, { _id: { $in: missing } });
+    for (const issue of frontier) {
+      graph.set(issue._id, issue);
+    }
+  }
+
+  return graph;
+}
+
+// Find cycles, unblocked nodes and the critical path. Edges point from blocker to blocked.
+function analyzeDependencyGraph(nodes, edges) {
+  const blockers = new Map(nodes.map(n => [n.id, []]));
+  const dependents = new Map(nodes.map(n => [n.id, []]));
+  for (const edge of edges) {
+    blockers.get(edge.to).push(edge.from);
+    dependents.get(edge.from).push(edge.to);
+  }
+  const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+  // Detect cycles with a depth-first search
+  const cycles = [];
+  const state = new Map();
+  const stack = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    stack.push(id);
+    for (const next of dependents.get(id)) {
+      if (state.get(next) === 'active') {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+  for (const node of nodes) {
+    if (!state.has(node.id)) {
+      visit(node.id);
+    }
+  }
+
+  // Open issues whose blockers are all finished
+  const unblocked = nodes
+    .filter(n => !n.done && blockers.get(n.id).every(b => nodeMap.get(b).done))
+    .map(n => n.id);
+
+  // Longest path through open work; estimates weigh the path when any open issue has one
+  let criticalPath = null;
+  if (cycles.length === 0) {
+    const useEstimates = nodes.some(n => !n.done && n.estimation > 0);
+    const weight = (n) => n.done ? 0 : (useEstimates ? n.estimation || 0 : 1);
+
+    const best = new Map();
+    const longest = (id) => {
+      if (best.has(id)) {
+        return best.get(id);
+      }
+      let result = { length: weight(nodeMap.get(id)), path: [id] };
+      for (const blocker of blockers.get(id)) {
+        const upstream = longest(blocker);
+        const length = upstream.length + weight(nodeMap.get(id));
+        if (length > result.length) {
+          result = { length, path: [...upstream.path, id] };
+        }
+      }
+      best.set(id, result);
+      return result;
+    };
+
+    let overall = { length: 0, path: [] };
+    for (const node of nodes) {
+      const candidate = longest(node.id);
+      if (candidate.length > overall.length) {
+        overall = candidate;
+      }
+    }
+
+    criticalPath = {
+      issues: overall.path,
+      length: overall.length,
+      unit: useEstimates ? 'hours' : 'issues'
+    };
+  }
+
+  return { cycles, unblocked, criticalPath };
+}
+
+async function getDependencyGraph(issueId, projectIdent, milestoneName) {
+  const client = await getClient();
+
+  // Pick the seed issues
+  let seeds;
+  if (issueId) {
+    const { issue } = await parseAndFindIssue(client, issueId);
+    seeds = [issue];
+  } else if (projectIdent) {
+    const project = await requireProject(client, projectIdent);
+
+    const query = { space: project._id };
+    if (milestoneName) {
+      const milestones = await getMilestones(client, project._id);
+      const milestone = milestones.find(m => m.label.toLowerCase() === milestoneName.toLowerCase());
+      if (!milestone) {
+        const available = milestones.map(m => m.label);
+        throw new HulyError('NOT_FOUND', `Milestone "${milestoneName}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
+      }
+      query.milestone = milestone._id;
+    }
+    seeds = await client.findAll(tracker.class.Issue, query);
+  } else {
+    throw new HulyError('INVALID_ARGUMENT', 'Either issueId or project must be provided');
+  }
+
+  const graph = await loadBlockingGraph(client, seeds);
+
+  const projectMap = new Map((await getProjects(client)).map(p => [p._id, p.identifier]));
+  const statuses = await getStatuses(client);
+  const statusMap = new Map(statuses.map(s => [s._id, s]));
+  const identifierOf = (issue) => `${projectMap.get(issue.space)}-${issue.number}`;
+
+  const nodes = [...graph.values()].map(issue => {
+    const status = statusMap.get(issue.status);
+    return {
+      id: identifierOf(issue),
+      title: issue.title,
+      status: status?.name || 'Unknown',
+      done: status?.category === task.statusCategory.Won || status?.category === task.statusCategory.Lost,
+      estimation: issue.estimation || 0
+    };
+  });
+
+  const edges = [];
+  for (const issue of graph.values()) {
+    for (const ref of issue.blockedBy || []) {
+      const blocker = graph.get(ref._id);
+      if (blocker) {
+        edges.push({ from: identifierOf(blocker), to: identifierOf(issue), type: 'blocks' });
+      }
     }
   }
 
   return {
-    id: `${project.identifier}-${issue.number}`,
-    internalId: issue._id,
-    title: issue.title,
-    description: descriptionContent,
-    status: status?.name || 'Unknown',
-    statusId: issue.status,
-    priority: PRIORITY_NAMES[issue.priority] || 'Unknown',
-    kind: issue.kind,
-    labels: issueLabels.map(l => l.title),
-    parent: parentId,
-    childCount: childCount,
-    milestone: milestoneInfo,
-    createdOn: issue.createdOn,
-    modifiedOn: issue.modifiedOn
+    nodes,
+    edges,
+    ...analyzeDependencyGraph(nodes, edges)
+  };
+}
+
+async function listTaskTypes(projectIdent) {
+  const client = await getClient();
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  // Get the project type (space type) to find available task types
+  // Task types are linked to space types, and projects reference their type
+  const projectType = project.type;
+
+  // Query for task types associated with this project's space type
+  // TaskType is defined in the task plugin
+  const taskTypes = await getTaskTypes(client);
+
+  // Filter to task types that are relevant to the tracker/this project
+  // TaskTypes have a parent property that links to the space type
+  const relevantTypes = taskTypes.filter(tt => {
+    // Check if this task type is for issues (tracker)
+    return tt.ofClass === tracker.class.Issue ||
+           tt.targetClass === tracker.class.Issue ||
+           (tt.descriptor && tt.descriptor.includes('tracker'));
+  });
+
+  // If no filtered results, return all task types for issues
+  const typesToReturn = relevantTypes.length > 0 ? relevantTypes : taskTypes.filter(tt =>
+    tt._id.includes('Issue') || tt._id.includes('tracker') || tt.name
+  );
+
+  return typesToReturn.map(tt => ({
+    id: tt._id,
+    name: tt.name || tt._id.split(':').pop(),
+    description: tt.description || '',
+    ofClass: tt.ofClass,
+    parent: tt.parent
+  }));
+}
+
+async function findTaskTypeByName(client, projectIdent, typeName) {
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  // Query all task types
+  const taskTypes = await getTaskTypes(client);
+
+  // Find by name (case-insensitive)
+  const found = taskTypes.find(tt => {
+    const name = tt.name || tt._id.split(':').pop();
+    return name.toLowerCase() === typeName.toLowerCase();
+  });
+
+  if (!found) {
+    // List available types in error message
+    const availableTypes = taskTypes.map(tt => tt.name || tt._id.split(':').pop());
+    throw new HulyError('NOT_FOUND', `Task type "${typeName}" not found. Available types: ${availableTypes.join(', ')}`, availableTypes);
+  }
+
+  return found._id;
+}
+
+async function listStatuses() {
+  const client = await getClient();
+
+  // Get all issue statuses
+  const statuses = await getStatuses(client);
+
+  return statuses.map(s => ({
+    id: s._id,
+    name: s.name,
+    category: s.category,
+    color: s.color,
+    description: s.description || ''
+  }));
+}
+
+// Milestone functions
+async function listMilestones(projectIdent, status) {
+  const client = await getClient();
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  // Build query
+  const query = { space: project._id };
+
+  // Filter by status if provided
+  if (status) {
+    query.status = parseMilestoneStatus(status);
+  }
+
+  // Get milestones
+  const milestones = await client.findAll(tracker.class.Milestone, query, {
+    sort: { targetDate: 1 }
+  });
+
+  return milestones.map(m => ({
+    id: m._id,
+    name: m.label,
+    description: m.description || '',
+    status: MILESTONE_STATUS_NAMES[m.status] || 'Unknown',
+    targetDate: m.targetDate ? new Date(m.targetDate).toISOString().split('T')[0] : null,
+    comments: m.comments || 0
+  }));
+}
+
+async function getMilestone(projectIdent, name) {
+  const client = await getClient();
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  // Find milestone by name (case-insensitive)
+  const milestones = await getMilestones(client, project._id);
+
+  const milestone = milestones.find(m =>
+    m.label.toLowerCase() === name.toLowerCase()
+  );
+
+  if (!milestone) {
+    throw new HulyError('NOT_FOUND', `Milestone not found: ${name}`);
+  }
+
+  // Count issues in this milestone
+  const issueCount = await countIssues(client, {
+    space: project._id,
+    milestone: milestone._id
+  });
+
+  return {
+    id: milestone._id,
+    name: milestone.label,
+    description: milestone.description || '',
+    status: MILESTONE_STATUS_NAMES[milestone.status] || 'Unknown',
+    targetDate: milestone.targetDate ? new Date(milestone.targetDate).toISOString().split('T')[0] : null,
+    comments: milestone.comments || 0,
+    issueCount
+  };
+}
+
+async function createMilestone(projectIdent, name, description, targetDate, status) {
+  const client = await getClient();
+
+  // Find project
+  const project = await requireProject(client, projectIdent);
+
+  // Check if milestone already exists
+  const existing = await client.findOne(tracker.class.Milestone, {
+    space: project._id,
+    label: name
+  });
+
+  if (existing) {
+    return {
+      message: `Milestone "${name}" already exists`,
+      id: existing._id,
+      name: existing.label
+    };
+  }
+
+  // Parse target date
+  let targetTimestamp = Date.now() + (30 * 24 * 60 * 60 * 1000); // Default: 30 days from now
+  if (targetDate) {
+    const parsed = new Date(targetDate);
+    if (!isNaN(parsed.getTime())) {
+      targetTimestamp = parsed.getTime();
+    }
+  }
+
+  // Parse status
+  let statusValue = 0; // Default: Planned
+  if (status) {
+    statusValue = parseMilestoneStatus(status);
+  }
+
+  // Create milestone
+  const milestoneId = generateId();
+  await client.createDoc(tracker.class.Milestone, project._id, {
+    label: name,
+    description: description || '',
+    status: statusValue,
+    targetDate: targetTimestamp,
+    comments: 0,
+    attachments: 0
+  }, milestoneId);
+  invalidateCache('milestones');
+
+  return {
+    message: `Milestone "${name}" created`,
+    id: milestoneId,
+    name,
+    status: MILESTONE_STATUS_NAMES[statusValue],
+    targetDate: new Date(targetTimestamp).toISOString().split('T')[0]
   };
 }
 
-async function createIssue(projectIdent, title, description, priority, status, labels, type) {
+async function updateMilestone(projectIdent, name, newName, description, targetDate, status, moveUnfinishedTo) {
   const client = await getClient();
 
   // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
-  });
+  const project = await requireProject(client, projectIdent);
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
-  }
+  // Find milestone by name (case-insensitive)
+  const milestones = await getMilestones(client, project._id);
 
-  // Get next issue number from project's sequence counter and increment it
-  const nextNumber = (project.sequence || 0) + 1;
+  const milestone = milestones.find(m =>
+    m.label.toLowerCase() === name.toLowerCase()
+  );
 
-  // Update project's sequence counter
-  await client.updateDoc(tracker.class.Project, project.space || project._id, project._id, {
-    sequence: nextNumber
-  });
+  if (!milestone) {
+    const available = milestones.map(m => m.label);
+    throw new HulyError('NOT_FOUND', `Milestone "${name}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
+  }
 
-  // Find status
-  let statusId;
-  const statuses = await client.findAll(tracker.class.IssueStatus, {});
-  if (status) {
-    const found = statuses.find(s => s.name.toLowerCase() === status.toLowerCase());
-    statusId = found?._id;
+  const updates = {};
+  const updatedFields = [];
+
+  if (newName !== undefined && newName !== milestone.label) {
+    const clash = milestones.find(m =>
+      m._id !== milestone._id && m.label.toLowerCase() === newName.toLowerCase()
+    );
+    if (clash) {
+      throw new HulyError('CONFLICT', `Milestone "${clash.label}" already exists`);
+    }
+    updates.label = newName;
+    updatedFields.push('name');
   }
-  if (!statusId) {
-    const todoStatus = statuses.find(s => s.name === 'Todo');
-    statusId = todoStatus?._id || statuses[0]?._id;
+
+  if (description !== undefined) {
+    updates.description = description;
+    updatedFields.push('description');
   }
 
-  // Find task type if specified
-  let taskTypeId = tracker.taskTypes.Issue;  // Default to Issue type
-  if (type) {
-    taskTypeId = await findTaskTypeByName(client, projectIdent, type);
+  if (targetDate !== undefined) {
+    const parsed = new Date(targetDate);
+    if (isNaN(parsed.getTime())) {
+      throw new HulyError('INVALID_ARGUMENT', `Invalid target date: ${targetDate}. Expected ISO 8601 format (e.g., "2025-03-01")`);
+    }
+    updates.targetDate = parsed.getTime();
+    updatedFields.push('targetDate');
   }
 
-  // Create issue using addCollection (Issues are AttachedDoc, not regular Doc)
-  const issueId = generateId();
-  await client.addCollection(
-    tracker.class.Issue,
-    project._id,
-    project._id,
-    tracker.class.Project,
-    'issues',
-    {
-      title,
-      identifier: `${project.identifier}-${nextNumber}`,
-      description: '',  // Start with empty, update after if description provided
-      status: statusId,
-      priority: PRIORITY_MAP[priority?.toLowerCase()] ?? 0,
-      number: nextNumber,
-      assignee: null,
-      component: null,
-      milestone: null,
-      estimation: 0,
-      remainingTime: 0,
-      reportedTime: 0,
-      childInfo: [],
-      parents: [],
-      kind: taskTypeId
-    },
-    issueId
-  );
+  if (status !== undefined) {
+    updates.status = parseMilestoneStatus(status);
+    updatedFields.push('status');
+  }
 
-  // If description provided, upload via collaborator service to get proper MarkupBlobRef
-  if (description) {
-    try {
-      const markupRef = await client.markup.uploadMarkup(
-        tracker.class.Issue,
-        issueId,
-        'description',
-        description,
-        'markdown'
-      );
-      await client.updateDoc(tracker.class.Issue, project._id, issueId, {
-        description: markupRef
-      });
-    } catch (err) {
-      console.error('[createIssue] Collaborator error:', err.message);
-      // Fallback to plain string
-      await client.updateDoc(tracker.class.Issue, project._id, issueId, {
-        description: description
-      });
+  // Resolve the destination before changing anything
+  let destination = null;
+  if (moveUnfinishedTo) {
+    if (updates.status !== MILESTONE_STATUS_MAP['completed'] && updates.status !== MILESTONE_STATUS_MAP['canceled']) {
+      throw new HulyError('INVALID_ARGUMENT', 'moveUnfinishedTo can only be used when setting status to Completed or Canceled');
+    }
+    destination = milestones.find(m =>
+      m.label.toLowerCase() === moveUnfinishedTo.toLowerCase()
+    );
+    if (!destination || destination._id === milestone._id) {
+      const available = milestones.filter(m => m._id !== milestone._id).map(m => m.label);
+      throw new HulyError('NOT_FOUND', `Milestone "${moveUnfinishedTo}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
     }
   }
 
-  // Add labels if provided
-  if (labels && labels.length > 0) {
-    for (const labelName of labels) {
-      await addLabelToIssue(client, issueId, project._id, labelName);
+  if (Object.keys(updates).length > 0) {
+    await client.updateDoc(tracker.class.Milestone, project._id, milestone._id, updates);
+    invalidateCache('milestones');
+  }
+
+  // Move issues that are neither done nor canceled to the destination milestone
+  const movedIssues = [];
+  if (destination) {
+    const statuses = await getStatuses(client);
+    const finished = new Set(statuses
+      .filter(s => s.category === task.statusCategory.Won || s.category === task.statusCategory.Lost)
+      .map(s => s._id));
+
+    const issues = await client.findAll(tracker.class.Issue, {
+      space: project._id,
+      milestone: milestone._id
+    });
+
+    for (const issue of issues.filter(i => !finished.has(i.status))) {
+      await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+        milestone: destination._id
+      });
+      movedIssues.push(`${project.identifier}-${issue.number}`);
     }
   }
 
+  const finalTargetDate = updates.targetDate ?? milestone.targetDate;
   return {
-    id: `${project.identifier}-${nextNumber}`,
-    internalId: issueId,
-    title,
-    status: status || 'Todo',
-    priority: priority || 'none'
+    message: `Milestone "${updates.label ?? milestone.label}" updated`,
+    id: milestone._id,
+    name: updates.label ?? milestone.label,
+    status: MILESTONE_STATUS_NAMES[updates.status ?? milestone.status] || 'Unknown',
+    targetDate: finalTargetDate ? new Date(finalTargetDate).toISOString().split('T')[0] : null,
+    updated: updatedFields,
+    movedIssues,
+    movedTo: destination?.label ?? null
   };
 }
 
-async function updateIssue(issueId, title, description, priority, status, type) {
+async function setMilestone(issueId, milestoneName) {
   const client = await getClient();
 
   // Parse and find issue
   const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
   if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}`);
+    throw new HulyError('INVALID_ARGUMENT', `Invalid issue ID format: ${issueId}`);
   }
 
   const [, projectId, issueNum] = match;
 
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
-  });
-
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
-  }
+  const project = await requireProject(client, projectId);
 
   const issue = await client.findOne(tracker.class.Issue, {
     space: project._id,
@@ -855,712 +3622,1398 @@ async function updateIssue(issueId, title, description, priority, status, type)
   });
 
   if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
+    throw new HulyError('NOT_FOUND', `Issue not found: ${issueId}`);
   }
 
-  // Build update operations
-  const updates = {};
-  const updatedFields = [];
-
-  if (title !== undefined) {
-    updates.title = title;
-    updatedFields.push('title');
+  // If milestone name is empty/null, clear the milestone
+  if (!milestoneName || milestoneName.trim() === '') {
+    await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+      milestone: null
+    });
+    return {
+      message: `Cleared milestone from ${issueId}`,
+      issueId,
+      milestone: null
+    };
   }
 
-  if (priority !== undefined) {
-    updates.priority = PRIORITY_MAP[priority.toLowerCase()] ?? issue.priority;
-    updatedFields.push('priority');
+  // Find milestone by name
+  const milestones = await getMilestones(client, project._id);
+
+  const milestone = milestones.find(m =>
+    m.label.toLowerCase() === milestoneName.toLowerCase()
+  );
+
+  if (!milestone) {
+    const available = milestones.map(m => m.label);
+    throw new HulyError('NOT_FOUND', `Milestone "${milestoneName}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
   }
 
-  if (status !== undefined) {
-    const statuses = await client.findAll(tracker.class.IssueStatus, {});
-    console.error(`[updateIssue] Available statuses: ${statuses.map(s => `${s.name} (${s._id})`).join(', ')}`);
-    console.error(`[updateIssue] Looking for status: "${status}"`);
-    console.error(`[updateIssue] Current issue status: ${issue.status}`);
+  // Update issue with milestone
+  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+    milestone: milestone._id
+  });
 
-    const found = statuses.find(s => s.name.toLowerCase() === status.toLowerCase());
-    if (found) {
-      console.error(`[updateIssue] Found status: ${found.name} (${found._id})`);
-      updates.status = found._id;
-      updatedFields.push('status');
-    } else {
-      console.error(`[updateIssue] Status "${status}" not found!`);
+  return {
+    message: `Set milestone "${milestone.label}" on ${issueId}`,
+    issueId,
+    milestone: {
+      id: milestone._id,
+      name: milestone.label
     }
-  }
+  };
+}
 
-  // Handle task type change
-  if (type !== undefined) {
-    const taskTypeId = await findTaskTypeByName(client, projectId, type);
-    updates.kind = taskTypeId;
-    updatedFields.push('type');
+// Delete functions
+function requireConfirmation(confirm, what) {
+  // A dry run only previews the deletion
+  if (confirm !== true && !isDryRun()) {
+    throw new HulyError('INVALID_ARGUMENT', `Refusing to delete ${what} without confirm: true (or preview it with dryRun: true)`);
   }
+}
 
-  // Apply non-description updates
-  if (Object.keys(updates).length > 0) {
-    console.error(`[updateIssue] Applying updates to ${issueId}:`, JSON.stringify(updates));
-    console.error(`[updateIssue] project._id: ${project._id}, issue._id: ${issue._id}`);
-    await client.updateDoc(tracker.class.Issue, project._id, issue._id, updates);
-    console.error(`[updateIssue] updateDoc completed`);
-  }
+async function deleteIssue(issueId, deleteSubIssues, confirm) {
+  requireConfirmation(confirm, issueId);
 
-  // Handle description update using collaborative document system
-  if (description !== undefined) {
-    try {
-      // Upload markup to get a proper MarkupBlobRef
-      const markupRef = await client.markup.uploadMarkup(
-        tracker.class.Issue,
-        issue._id,
-        'description',
-        description,
-        'markdown'
-      );
+  const client = await getClient();
+  const { issue } = await parseAndFindIssue(client, issueId);
 
-      // Update issue with the blob reference
-      await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-        description: markupRef
-      });
-      updatedFields.push('description');
-    } catch (err) {
-      // Log detailed error for debugging
-      console.error('[updateIssue] Collaborator error:', err.message);
+  // Sub-issues may live in other projects, so identify each from its own space
+  const projectMap = new Map((await getProjects(client)).map(p => [p._id, p.identifier]));
+  const identifierOf = (i) => `${projectMap.get(i.space)}-${i.number}`;
 
-      // Fallback: store as plain string (won't render in Huly UI but readable via API)
-      console.error('[updateIssue] Falling back to plain string storage');
-      await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-        description: description
+  await checkDeletionScope(client, issue, deleteSubIssues, identifierOf);
+
+  const { deletedSubIssues, detachedSubIssues } = await removeIssue(client, issue, deleteSubIssues, identifierOf);
+
+  const parentId = issue.attachedTo && issue.attachedToClass === tracker.class.Issue
+    ? issue.parents?.[0]?.identifier ?? null
+    : null;
+
+  return {
+    message: `Deleted ${issueId}`,
+    issueId,
+    parent: parentId,
+    deletedSubIssues,
+    detachedSubIssues
+  };
+}
+
+// With HULY_WRITE_PROJECTS set, refuse a deletion whose cascade would change
+// issues outside the writable projects: sub-issues, the parent, and issues
+// whose dependencies or relations point at a deleted issue
+async function checkDeletionScope(client, issue, deleteSubIssues, identifierOf) {
+  if (HULY_WRITE_PROJECTS.length === 0) {
+    return;
+  }
+
+  const touched = [];
+  if (issue.attachedTo && issue.attachedToClass === tracker.class.Issue) {
+    const parent = await client.findOne(tracker.class.Issue, { _id: issue.attachedTo });
+    if (parent) {
+      touched.push(parent);
+    }
+  }
+
+  let level = [issue];
+  while (level.length > 0) {
+    const next = [];
+    for (const current of level) {
+      const children = await client.findAll(tracker.class.Issue, {
+        attachedTo: current._id,
+        attachedToClass: tracker.class.Issue
       });
-      updatedFields.push('description (plain)');
+      touched.push(
+        ...children,
+        ...await client.findAll(tracker.class.Issue, { 'blockedBy._id': current._id }),
+        ...await client.findAll(tracker.class.Issue, { 'relations._id': current._id })
+      );
+      if (deleteSubIssues) {
+        next.push(...children);
+      }
     }
+    level = next;
   }
 
-  return {
-    id: issueId,
-    updated: updatedFields
-  };
+  const denied = [...new Set(touched
+    .filter(i => !HULY_WRITE_PROJECTS.includes(identifierOf(i).replace(/-\d+$/, '')))
+    .map(identifierOf))];
+  if (denied.length > 0) {
+    throw new HulyError('FORBIDDEN', `Deleting ${identifierOf(issue)} would also change ${denied.join(', ')}, outside the writable projects: ${HULY_WRITE_PROJECTS.join(', ')}`);
+  }
 }
 
-async function addLabelToIssue(client, issueId, space, labelName) {
-  // Find or create tag element
-  let tagElement = await client.findOne(tags.class.TagElement, {
-    title: labelName,
-    targetClass: tracker.class.Issue
+async function removeIssue(client, issue, deleteSubIssues, identifierOf) {
+  // Handle sub-issues first so none are left pointing at a deleted parent
+  const children = await client.findAll(tracker.class.Issue, {
+    attachedTo: issue._id,
+    attachedToClass: tracker.class.Issue
   });
 
-  if (!tagElement) {
-    // Create the tag
-    const tagId = generateId();
-    await client.createDoc(tags.class.TagElement, space, {
-      title: labelName,
-      targetClass: tracker.class.Issue,
-      description: '',
-      color: 0x4ECDC4,
-      category: 'tracker:category:Other'
-    }, tagId);
-    tagElement = { _id: tagId, title: labelName, color: 0x4ECDC4 };
+  const deletedSubIssues = [];
+  const detachedSubIssues = [];
+  for (const child of children) {
+    if (deleteSubIssues) {
+      const result = await removeIssue(client, child, true, identifierOf);
+      deletedSubIssues.push(identifierOf(child), ...result.deletedSubIssues);
+    } else {
+      await detachFromParent(client, child);
+      detachedSubIssues.push(identifierOf(child));
+    }
   }
 
-  // Check if already attached
-  const existing = await client.findOne(tags.class.TagReference, {
-    attachedTo: issueId,
-    tag: tagElement._id
-  });
+  // Drop dependencies and relations on other issues that point at this one
+  const blocked = await client.findAll(tracker.class.Issue, { 'blockedBy._id': issue._id });
+  for (const other of blocked) {
+    await client.updateDoc(tracker.class.Issue, other.space, other._id, {
+      blockedBy: other.blockedBy.filter(r => r._id !== issue._id)
+    });
+  }
+  const related = await client.findAll(tracker.class.Issue, { 'relations._id': issue._id });
+  for (const other of related) {
+    await client.updateDoc(tracker.class.Issue, other.space, other._id, {
+      relations: other.relations.filter(r => r._id !== issue._id)
+    });
+  }
 
-  if (existing) {
-    return { message: `Label "${labelName}" already attached` };
+  // Remove labels attached to the issue
+  const tagRefs = await client.findAll(tags.class.TagReference, { attachedTo: issue._id });
+  for (const ref of tagRefs) {
+    await client.removeDoc(tags.class.TagReference, ref.space, ref._id);
   }
 
-  // Add tag reference
-  await client.addCollection(
-    tags.class.TagReference,
-    space,
-    issueId,
+  await client.removeCollection(
     tracker.class.Issue,
-    'labels',
-    {
-      title: tagElement.title,
-      color: tagElement.color || 0,
-      tag: tagElement._id
-    }
+    issue.space,
+    issue._id,
+    issue.attachedTo,
+    issue.attachedToClass,
+    issue.collection
   );
 
-  return { message: `Label "${labelName}" added` };
-}
+  // Clean up the parent's childInfo and subIssues counter, mirroring setParent
+  if (issue.attachedTo && issue.attachedToClass === tracker.class.Issue) {
+    await removeFromParentChildInfo(client, issue._id, issue.attachedTo);
+  }
 
-async function addLabel(issueId, labelName) {
-  const client = await getClient();
+  return { deletedSubIssues, detachedSubIssues };
+}
 
-  // Parse and find issue
-  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
-  if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}`);
-  }
+async function deleteLabel(name, confirm) {
+  requireConfirmation(confirm, `label "${name}"`);
 
-  const [, projectId, issueNum] = match;
+  const client = await getClient();
 
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
+  const tagElements = await client.findAll(tags.class.TagElement, {
+    title: name,
+    targetClass: tracker.class.Issue
   });
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
+  if (tagElements.length === 0) {
+    throw new HulyError('NOT_FOUND', `Label not found: ${name}`);
   }
 
-  const issue = await client.findOne(tracker.class.Issue, {
-    space: project._id,
-    number: parseInt(issueNum)
+  // Remove the label from every issue before deleting it
+  const tagRefs = await client.findAll(tags.class.TagReference, {
+    tag: { $in: tagElements.map(t => t._id) }
   });
+  for (const ref of tagRefs) {
+    await client.removeDoc(tags.class.TagReference, ref.space, ref._id);
+  }
 
-  if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
+  for (const tagElement of tagElements) {
+    await client.removeDoc(tags.class.TagElement, tagElement.space, tagElement._id);
   }
+  invalidateCache('labels');
 
-  return await addLabelToIssue(client, issue._id, project._id, labelName);
+  return {
+    message: `Label "${name}" deleted`,
+    removedFromIssues: tagRefs.length
+  };
 }
 
-async function removeLabel(issueId, labelName) {
-  const client = await getClient();
+async function deleteMilestone(projectIdent, name, confirm) {
+  requireConfirmation(confirm, `milestone "${name}"`);
 
-  // Parse and find issue
-  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
-  if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}`);
-  }
+  const client = await getClient();
 
-  const [, projectId, issueNum] = match;
+  // Find project
+  const project = await requireProject(client, projectIdent);
 
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
-  });
+  const milestones = await client.findAll(tracker.class.Milestone, { space: project._id });
+  const milestone = milestones.find(m =>
+    m.label.toLowerCase() === name.toLowerCase()
+  );
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
+  if (!milestone) {
+    const available = milestones.map(m => m.label);
+    throw new HulyError('NOT_FOUND', `Milestone "${name}" not found. Available milestones: ${available.join(', ') || 'none'}`, available);
   }
 
-  const issue = await client.findOne(tracker.class.Issue, {
+  // Clear the milestone from its issues before deleting it
+  const issues = await client.findAll(tracker.class.Issue, {
     space: project._id,
-    number: parseInt(issueNum)
+    milestone: milestone._id
   });
-
-  if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
+  for (const issue of issues) {
+    await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+      milestone: null
+    });
   }
 
-  // Find and remove tag reference
-  const tagRefs = await client.findAll(tags.class.TagReference, {
-    attachedTo: issue._id
-  });
+  await client.removeDoc(tracker.class.Milestone, project._id, milestone._id);
+  invalidateCache('milestones');
 
-  const tagRef = tagRefs.find(r => r.title.toLowerCase() === labelName.toLowerCase());
+  return {
+    message: `Milestone "${milestone.label}" deleted`,
+    clearedFromIssues: issues.map(i => `${project.identifier}-${i.number}`)
+  };
+}
 
-  if (!tagRef) {
-    return { message: `Label "${labelName}" not found on issue` };
+// Bulk update functions
+async function bulkUpdateIssues(issueIds, filter, changes, limit = 100) {
+  const client = await getClient();
+
+  // Select issues either explicitly or through list_issues filters
+  let targets;
+  let matched;
+  if (issueIds && issueIds.length > 0) {
+    targets = issueIds;
+    matched = issueIds.length;
+  } else if (filter?.project) {
+    const project = await requireProject(client, filter.project);
+    const query = await buildIssueQuery(client, project, filter);
+    const issues = await client.findAll(tracker.class.Issue, query, {
+      limit,
+      sort: { modifiedOn: -1 },
+      total: true
+    });
+    targets = issues.map(i => `${project.identifier}-${i.number}`);
+    matched = issues.total ?? issues.length;
+  } else {
+    throw new HulyError('INVALID_ARGUMENT', 'Either issueIds or filter.project must be provided');
   }
 
-  await client.removeDoc(tags.class.TagReference, tagRef.space, tagRef._id);
+  const { status, priority, type, milestone, addLabels = [], removeLabels = [] } = changes || {};
 
-  return { message: `Label "${labelName}" removed` };
+  const results = [];
+  for (const issueId of targets) {
+    const updated = [];
+    try {
+      if (status !== undefined || priority !== undefined || type !== undefined) {
+        const result = await updateIssue(issueId, undefined, undefined, priority, status, type);
+        updated.push(...result.updated);
+      }
+      if (milestone !== undefined) {
+        await setMilestone(issueId, milestone);
+        updated.push('milestone');
+      }
+      for (const label of addLabels) {
+        await addLabel(issueId, label);
+        updated.push(`+${label}`);
+      }
+      for (const label of removeLabels) {
+        await removeLabel(issueId, label);
+        updated.push(`-${label}`);
+      }
+      results.push({ issueId, success: true, updated });
+    } catch (err) {
+      results.push({ issueId, success: false, updated, ...errorDetails(err) });
+    }
+  }
+
+  // Filter matches beyond the limit are left for another call
+  return {
+    matched,
+    total: results.length,
+    succeeded: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    truncated: matched > results.length,
+    results
+  };
 }
 
-async function listLabels() {
+// Component functions
+function findComponentByName(components, name) {
+  const component = components.find(c =>
+    c.label.toLowerCase() === name.toLowerCase()
+  );
+
+  if (!component) {
+    const available = components.map(c => c.label);
+    throw new HulyError('NOT_FOUND', `Component "${name}" not found. Available components: ${available.join(', ') || 'none'}`, available);
+  }
+
+  return component;
+}
+
+async function listComponents(projectIdent) {
   const client = await getClient();
 
-  const tagElements = await client.findAll(tags.class.TagElement, {
-    targetClass: tracker.class.Issue
-  });
+  // Find project
+  const project = await requireProject(client, projectIdent);
 
-  return tagElements.map(t => ({
-    name: t.title,
-    color: t.color ? `#${t.color.toString(16).padStart(6, '0')}` : null
+  const components = await getComponents(client, project._id);
+
+  const leadMap = await loadPersonNames(client, components.map(c => c.lead));
+
+  return components.map(c => ({
+    id: c._id,
+    name: c.label,
+    description: c.description || '',
+    lead: c.lead ? leadMap.get(c.lead) || null : null
   }));
 }
 
-async function createLabel(name, color) {
+async function createComponent(projectIdent, name, description, lead) {
   const client = await getClient();
 
-  // Check if exists
-  const existing = await client.findOne(tags.class.TagElement, {
-    title: name,
-    targetClass: tracker.class.Issue
-  });
+  // Find project
+  const project = await requireProject(client, projectIdent);
 
+  // Check if component already exists
+  const components = await getComponents(client, project._id);
+
+  const existing = components.find(c => c.label.toLowerCase() === name.toLowerCase());
   if (existing) {
-    return { message: `Label "${name}" already exists`, id: existing._id };
+    return {
+      message: `Component "${existing.label}" already exists`,
+      id: existing._id,
+      name: existing.label
+    };
   }
 
-  // Get a project space for the tag
-  const projects = await client.findAll(tracker.class.Project, {});
-  const space = projects.length > 0 ? projects[0]._id : 'tracker:project:Default';
+  // Resolve lead
+  let leadMember = null;
+  if (lead) {
+    leadMember = await resolveMember(client, lead);
+  }
 
-  const tagId = generateId();
-  await client.createDoc(tags.class.TagElement, space, {
-    title: name,
-    targetClass: tracker.class.Issue,
-    description: '',
-    color: color || 0x4ECDC4,
-    category: 'tracker:category:Other'
-  }, tagId);
+  const componentId = generateId();
+  await client.createDoc(tracker.class.Component, project._id, {
+    label: name,
+    description: description || '',
+    lead: leadMember?.id ?? null,
+    comments: 0,
+    attachments: 0
+  }, componentId);
+  invalidateCache('components');
 
-  return { message: `Label "${name}" created`, id: tagId };
+  return {
+    message: `Component "${name}" created`,
+    id: componentId,
+    name,
+    lead: leadMember?.name ?? null
+  };
 }
 
-// Helper to parse issue ID and get issue
-async function parseAndFindIssue(client, issueId) {
-  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
-  if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}. Expected format: PROJECT-NUMBER`);
+// Member functions
+function formatPersonName(name) {
+  if (!name) {
+    return '';
   }
 
-  const [, projectId, issueNum] = match;
+  // Huly stores person names as "Last,First"
+  const [last, first] = name.split(',');
+  if (first === undefined) {
+    return last.trim();
+  }
+  return `${first.trim()} ${last.trim()}`.trim();
+}
 
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
-  });
+async function loadPersonNames(client, personIds) {
+  const ids = [...new Set(personIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
+  const persons = await client.findAll(contact.class.Person, { _id: { $in: ids } });
+  return new Map(persons.map(p => [p._id, formatPersonName(p.name)]));
+}
+
+async function loadMembers(client) {
+  const employees = await client.findAll(contact.mixin.Employee, { active: true });
+  const personIds = employees.map(e => e._id);
+
+  // Emails live in social identities on newer workspaces, channels on older ones
+  const emailMap = new Map();
+  try {
+    const identities = await client.findAll(contact.class.SocialIdentity, {
+      attachedTo: { $in: personIds },
+      type: 'email'
+    });
+    for (const identity of identities) {
+      if (!emailMap.has(identity.attachedTo)) {
+        emailMap.set(identity.attachedTo, identity.value);
+      }
+    }
+  } catch (err) {
+    console.error('[loadMembers] Social identity lookup failed:', err.message);
   }
 
-  const issue = await client.findOne(tracker.class.Issue, {
-    space: project._id,
-    number: parseInt(issueNum)
-  });
+  if (emailMap.size === 0) {
+    try {
+      const channels = await client.findAll(contact.class.Channel, {
+        attachedTo: { $in: personIds },
+        provider: contact.channelProvider.Email
+      });
+      for (const channel of channels) {
+        if (!emailMap.has(channel.attachedTo)) {
+          emailMap.set(channel.attachedTo, channel.value);
+        }
+      }
+    } catch (err) {
+      console.error('[loadMembers] Channel lookup failed:', err.message);
+    }
+  }
 
-  if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
+  return employees.map(e => ({
+    id: e._id,
+    name: formatPersonName(e.name),
+    email: emailMap.get(e._id) || null
+  }));
+}
+
+async function resolveMember(client, nameOrEmail) {
+  const members = await loadMembers(client);
+  const needle = nameOrEmail.trim().toLowerCase();
+
+  // Exact email or full name wins, then fall back to partial name match
+  let matches = members.filter(m =>
+    m.email?.toLowerCase() === needle || m.name.toLowerCase() === needle
+  );
+  if (matches.length === 0) {
+    matches = members.filter(m => m.name.toLowerCase().includes(needle));
   }
 
-  return { project, issue };
+  if (matches.length === 0) {
+    const available = members.map(m => m.email ? `${m.name} <${m.email}>` : m.name);
+    throw new HulyError('NOT_FOUND', `Member "${nameOrEmail}" not found. Available members: ${available.join(', ') || 'none'}`, available);
+  }
+
+  if (matches.length > 1) {
+    const candidates = matches.map(m => m.email ? `${m.name} <${m.email}>` : m.name);
+    throw new HulyError('AMBIGUOUS', `Member "${nameOrEmail}" is ambiguous. Matches: ${candidates.join(', ')}`, candidates);
+  }
+
+  return matches[0];
 }
 
-async function addRelation(issueId, relatedToIssueId) {
+async function listMembers() {
   const client = await getClient();
+  return await loadMembers(client);
+}
 
-  // Find both issues
-  const { project, issue } = await parseAndFindIssue(client, issueId);
-  const { issue: relatedIssue } = await parseAndFindIssue(client, relatedToIssueId);
+// Comment functions
+async function uploadCommentMarkup(client, commentId, text) {
+  try {
+    return await client.markup.uploadMarkup(
+      chunter.class.ChatMessage,
+      commentId,
+      'message',
+      text,
+      'markdown'
+    );
+  } catch (err) {
+    console.error('[uploadCommentMarkup] Collaborator error:', err.message);
+    // Fallback to plain string
+    return text;
+  }
+}
 
-  // Get current relations or initialize empty array
-  const currentRelations = issue.relations || [];
+async function loadAuthorNames(client, socialIds) {
+  const ids = [...new Set(socialIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
 
-  // Check if relation already exists
-  const alreadyRelated = currentRelations.some(r => r._id === relatedIssue._id);
-  if (alreadyRelated) {
-    return { message: `Issues are already related` };
+  // Comments record the author's social id; map it back to the person
+  let identities = [];
+  try {
+    identities = await client.findAll(contact.class.SocialIdentity, { _id: { $in: ids } });
+  } catch (err) {
+    console.error('[loadAuthorNames] Social identity lookup failed:', err.message);
   }
 
-  // Add the new relation
-  const newRelations = [...currentRelations, { _id: relatedIssue._id, _class: relatedIssue._class }];
+  const personNames = await loadPersonNames(client, identities.map(i => i.attachedTo));
+  return new Map(identities.map(i => [i._id, personNames.get(i.attachedTo) || i.value]));
+}
 
-  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-    relations: newRelations
+async function findOwnComment(client, issueId, commentId) {
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+
+  const comment = await client.findOne(chunter.class.ChatMessage, {
+    _id: commentId,
+    attachedTo: issue._id
   });
 
+  if (!comment) {
+    throw new HulyError('NOT_FOUND', `Comment not found on ${issueId}: ${commentId}`);
+  }
+
+  const account = await client.getAccount();
+  const ownIds = account.socialIds || [account.primarySocialId];
+  if (!ownIds.includes(comment.createdBy)) {
+    throw new HulyError('FORBIDDEN', `Comment ${commentId} was not posted by this account and cannot be changed`);
+  }
+
+  return { project, issue, comment };
+}
+
+async function addComment(issueId, text) {
+  const client = await getClient();
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+
+  const commentId = generateId();
+  const message = await uploadCommentMarkup(client, commentId, text);
+
+  await client.addCollection(
+    chunter.class.ChatMessage,
+    project._id,
+    issue._id,
+    tracker.class.Issue,
+    'comments',
+    {
+      message,
+      attachments: 0
+    },
+    commentId
+  );
+
   return {
-    message: `Added relation: ${issueId} is now related to ${relatedToIssueId}`,
+    message: `Comment added to ${issueId}`,
     issueId,
-    relatedToIssueId
+    commentId
   };
 }
 
-async function addBlockedBy(issueId, blockedByIssueId) {
+async function listComments(issueId, limit = 50) {
   const client = await getClient();
+  const { issue } = await parseAndFindIssue(client, issueId);
 
-  // Find both issues
-  const { project, issue } = await parseAndFindIssue(client, issueId);
-  const { issue: blockingIssue } = await parseAndFindIssue(client, blockedByIssueId);
+  const comments = await client.findAll(chunter.class.ChatMessage, {
+    attachedTo: issue._id
+  }, {
+    limit,
+    sort: { createdOn: 1 }
+  });
 
-  // Get current blockedBy or initialize empty array
-  const currentBlockedBy = issue.blockedBy || [];
+  const authorMap = await loadAuthorNames(client, comments.map(c => c.createdBy));
 
-  // Check if already blocked by this issue
-  const alreadyBlocked = currentBlockedBy.some(r => r._id === blockingIssue._id);
-  if (alreadyBlocked) {
-    return { message: `${issueId} is already blocked by ${blockedByIssueId}` };
+  const result = [];
+  for (const comment of comments) {
+    result.push({
+      id: comment._id,
+      author: authorMap.get(comment.createdBy) || comment.createdBy || 'Unknown',
+      text: await fetchMarkupContent(client, chunter.class.ChatMessage, comment._id, 'message', comment.message),
+      createdOn: comment.createdOn,
+      editedOn: comment.editedOn || null
+    });
   }
 
-  // Add the new blocking relation
-  const newBlockedBy = [...currentBlockedBy, { _id: blockingIssue._id, _class: blockingIssue._class }];
+  return result;
+}
 
-  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-    blockedBy: newBlockedBy
+async function updateComment(issueId, commentId, text) {
+  const client = await getClient();
+  const { project, comment } = await findOwnComment(client, issueId, commentId);
+
+  const message = await uploadCommentMarkup(client, comment._id, text);
+
+  await client.updateDoc(chunter.class.ChatMessage, project._id, comment._id, {
+    message,
+    editedOn: Date.now()
   });
 
   return {
-    message: `Added dependency: ${issueId} is now blocked by ${blockedByIssueId}`,
+    message: `Comment ${commentId} updated on ${issueId}`,
     issueId,
-    blockedByIssueId
+    commentId
   };
 }
 
-async function setParent(issueId, parentIssueId) {
+async function deleteComment(issueId, commentId) {
   const client = await getClient();
+  const { project, issue, comment } = await findOwnComment(client, issueId, commentId);
 
-  // Find both issues
-  const { project, issue } = await parseAndFindIssue(client, issueId);
-  const { project: parentProject, issue: parentIssue } = await parseAndFindIssue(client, parentIssueId);
+  await client.removeCollection(
+    chunter.class.ChatMessage,
+    project._id,
+    comment._id,
+    issue._id,
+    tracker.class.Issue,
+    'comments'
+  );
 
-  // Build parent info for the child
-  const parentInfo = {
-    parentId: parentIssue._id,
-    identifier: `${parentProject.identifier}-${parentIssue.number}`,
-    parentTitle: parentIssue.title,
-    space: parentProject._id
+  return {
+    message: `Comment ${commentId} deleted from ${issueId}`,
+    issueId,
+    commentId
   };
+}
 
-  // Use updateCollection to properly register in the subIssues collection
-  // This updates both the child's attachedTo AND the parent's collection counter
-  await client.updateCollection(
-    tracker.class.Issue,       // _class
-    project._id,               // space
-    issue._id,                 // objectId (the child issue)
-    parentIssue._id,           // attachedTo (the parent issue)
-    tracker.class.Issue,       // attachedToClass
-    'subIssues',               // collection name
-    {                          // additional updates to the child
-      parents: [parentInfo],
-      attachedTo: parentIssue._id,
-      attachedToClass: tracker.class.Issue,
-      collection: 'subIssues'
-    }
-  );
+// Time tracking functions
+async function getCurrentPerson(client) {
+  try {
+    const account = await client.getAccount();
+    return await client.findOne(contact.class.Person, { personUuid: account.uuid });
+  } catch (err) {
+    console.error('[getCurrentPerson] Account lookup failed:', err.message);
+    return undefined;
+  }
+}
+
+// Keep the parent's childInfo entry in sync with the child's time fields
+async function syncParentChildInfo(client, issue) {
+  if (!issue.attachedTo || issue.attachedToClass !== tracker.class.Issue) {
+    return;
+  }
+
+  const parentIssue = await client.findOne(tracker.class.Issue, { _id: issue.attachedTo });
+  if (!parentIssue) {
+    return;
+  }
 
-  // Build child info for the parent
   const childInfo = {
     childId: issue._id,
     estimation: issue.estimation || 0,
     reportedTime: issue.reportedTime || 0
   };
 
-  // Get current childInfo array from parent and add new child
   const currentChildInfo = parentIssue.childInfo || [];
-
-  // Check if child is already in the list (avoid duplicates)
   const existingIndex = currentChildInfo.findIndex(c => c.childId === issue._id);
   let updatedChildInfo;
   if (existingIndex >= 0) {
-    // Update existing entry
     updatedChildInfo = [...currentChildInfo];
     updatedChildInfo[existingIndex] = childInfo;
   } else {
-    // Add new entry
     updatedChildInfo = [...currentChildInfo, childInfo];
   }
 
-  // Update parent's childInfo array and subIssues counter
-  await client.updateDoc(tracker.class.Issue, parentProject._id, parentIssue._id, {
-    childInfo: updatedChildInfo,
-    subIssues: updatedChildInfo.length
+  await client.updateDoc(tracker.class.Issue, parentIssue.space, parentIssue._id, {
+    childInfo: updatedChildInfo
+  });
+}
+
+async function setEstimate(issueId, estimation, remainingTime) {
+  const client = await getClient();
+  const { project, issue } = await parseAndFindIssue(client, issueId);
+
+  const reportedTime = issue.reportedTime || 0;
+  const remaining = remainingTime !== undefined
+    ? remainingTime
+    : Math.max(estimation - reportedTime, 0);
+
+  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+    estimation,
+    remainingTime: remaining
   });
 
+  await syncParentChildInfo(client, { ...issue, estimation });
+
   return {
-    message: `Set parent: ${issueId} is now a child of ${parentIssueId}`,
+    message: `Set estimate on ${issueId} to ${estimation}h`,
     issueId,
-    parentIssueId,
-    parentChildCount: updatedChildInfo.length
+    estimation,
+    remainingTime: remaining,
+    reportedTime
   };
 }
 
-async function listTaskTypes(projectIdent) {
+async function logTime(issueId, hours, description, date) {
   const client = await getClient();
-  const task = require('@hcengineering/task').default;
-
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
-  });
+  const { project, issue } = await parseAndFindIssue(client, issueId);
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
+  // Parse report date
+  let reportDate = Date.now();
+  if (date) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      throw new HulyError('INVALID_ARGUMENT', `Invalid date: ${date}. Expected ISO 8601 format (e.g., "2025-03-01")`);
+    }
+    reportDate = parsed.getTime();
   }
 
-  // Get the project type (space type) to find available task types
-  // Task types are linked to space types, and projects reference their type
-  const projectType = project.type;
+  const person = await getCurrentPerson(client);
 
-  // Query for task types associated with this project's space type
-  // TaskType is defined in the task plugin
-  const taskTypes = await client.findAll(task.class.TaskType, {});
+  const reportId = generateId();
+  await client.addCollection(
+    tracker.class.TimeSpendReport,
+    project._id,
+    issue._id,
+    tracker.class.Issue,
+    'reports',
+    {
+      employee: person?._id ?? null,
+      date: reportDate,
+      value: hours,
+      description: description || ''
+    },
+    reportId
+  );
 
-  // Filter to task types that are relevant to the tracker/this project
-  // TaskTypes have a parent property that links to the space type
-  const relevantTypes = taskTypes.filter(tt => {
-    // Check if this task type is for issues (tracker)
-    return tt.ofClass === tracker.class.Issue ||
-           tt.targetClass === tracker.class.Issue ||
-           (tt.descriptor && tt.descriptor.includes('tracker'));
-  });
+  // The server may already have rolled the report into the issue; only update if it didn't
+  let updatedIssue = await client.findOne(tracker.class.Issue, { _id: issue._id });
+  if ((updatedIssue.reportedTime || 0) === (issue.reportedTime || 0)) {
+    const reportedTime = (issue.reportedTime || 0) + hours;
+    const remainingTime = Math.max((issue.remainingTime || 0) - hours, 0);
+    await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
+      reportedTime,
+      remainingTime
+    });
+    updatedIssue = { ...updatedIssue, reportedTime, remainingTime };
+  }
 
-  // If no filtered results, return all task types for issues
-  const typesToReturn = relevantTypes.length > 0 ? relevantTypes : taskTypes.filter(tt =>
-    tt._id.includes('Issue') || tt._id.includes('tracker') || tt.name
-  );
+  await syncParentChildInfo(client, updatedIssue);
 
-  return typesToReturn.map(tt => ({
-    id: tt._id,
-    name: tt.name || tt._id.split(':').pop(),
-    description: tt.description || '',
-    ofClass: tt.ofClass,
-    parent: tt.parent
-  }));
+  return {
+    message: `Logged ${hours}h on ${issueId}`,
+    issueId,
+    reportId,
+    date: new Date(reportDate).toISOString().split('T')[0],
+    reportedTime: updatedIssue.reportedTime || 0,
+    remainingTime: updatedIssue.remainingTime || 0
+  };
 }
 
-async function findTaskTypeByName(client, projectIdent, typeName) {
-  const task = require('@hcengineering/task').default;
+async function getTimeLog(issueId) {
+  const client = await getClient();
+  const { issue } = await parseAndFindIssue(client, issueId);
 
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
+  const reports = await client.findAll(tracker.class.TimeSpendReport, {
+    attachedTo: issue._id
+  }, {
+    sort: { date: 1 }
   });
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
-  }
+  const employeeMap = await loadPersonNames(client, reports.map(r => r.employee));
 
-  // Query all task types
-  const taskTypes = await client.findAll(task.class.TaskType, {});
+  // Roll up child issues from the parent's childInfo
+  const childInfo = issue.childInfo || [];
 
-  // Find by name (case-insensitive)
-  const found = taskTypes.find(tt => {
-    const name = tt.name || tt._id.split(':').pop();
-    return name.toLowerCase() === typeName.toLowerCase();
-  });
+  return {
+    issueId,
+    estimation: issue.estimation || 0,
+    remainingTime: issue.remainingTime || 0,
+    reportedTime: issue.reportedTime || 0,
+    children: {
+      count: childInfo.length,
+      estimation: childInfo.reduce((sum, c) => sum + (c.estimation || 0), 0),
+      reportedTime: childInfo.reduce((sum, c) => sum + (c.reportedTime || 0), 0)
+    },
+    entries: reports.map(r => ({
+      id: r._id,
+      date: r.date ? new Date(r.date).toISOString().split('T')[0] : null,
+      hours: r.value,
+      description: r.description || '',
+      employee: r.employee ? employeeMap.get(r.employee) || null : null
+    }))
+  };
+}
 
-  if (!found) {
-    // List available types in error message
-    const availableTypes = taskTypes.map(tt => tt.name || tt._id.split(':').pop()).join(', ');
-    throw new Error(`Task type "${typeName}" not found. Available types: ${availableTypes}`);
+// Audit functions
+function parseAuditTime(value, name) {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    throw new HulyError('INVALID_ARGUMENT', `Invalid ${name}: ${value}. Expected ISO 8601 format (e.g., "2025-03-01")`);
   }
-
-  return found._id;
+  return parsed.toISOString();
 }
 
-async function listStatuses() {
-  const client = await getClient();
-
-  // Get all issue statuses
-  const statuses = await client.findAll(tracker.class.IssueStatus, {});
-
-  return statuses.map(s => ({
-    id: s._id,
-    name: s.name,
-    category: s.category,
-    color: s.color,
-    description: s.description || ''
-  }));
-}
+async function getAuditLog(since, until, tool, issueId, limit = 50) {
+  if (!auditEnabled()) {
+    throw new HulyError('CONFIGURATION', 'The audit log is disabled (HULY_AUDIT_LOG=off)');
+  }
 
-// Milestone functions
-async function listMilestones(projectIdent, status) {
-  const client = await getClient();
+  const from = since ? parseAuditTime(since, 'since') : null;
+  const to = until ? parseAuditTime(until, 'until') : null;
+  const workspace = currentWorkspace();
 
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
-  });
+  const entries = (await readAuditLog()).filter(entry =>
+    entry.workspace === workspace &&
+    (!from || entry.timestamp >= from) &&
+    (!to || entry.timestamp < to) &&
+    (!tool || entry.tool === tool) &&
+    (!issueId || entry.issues?.includes(issueId.toUpperCase()))
+  );
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
-  }
+  return {
+    entries: entries.reverse().slice(0, limit),
+    total: entries.length
+  };
+}
 
-  // Build query
-  const query = { space: project._id };
+// Removed documents undo can recreate; other deletions cannot be reverted
+const RESTORABLE_CLASSES = [tags.class.TagReference];
+
+// Documents that must not be referenced elsewhere before undo deletes them: class -> [referencing class, field]
+const UNDO_REFERENCES = new Map([
+  [tracker.class.Issue, [tracker.class.Issue, 'attachedTo']],
+  [tags.class.TagElement, [tags.class.TagReference, 'tag']],
+  [tracker.class.Milestone, [tracker.class.Issue, 'milestone']],
+  [tracker.class.Component, [tracker.class.Issue, 'component']]
+]);
+
+// State each document should be in if nothing changed it after the entry
+function expectedUndoState(entry) {
+  const documents = new Map();
+  for (const change of entry.changes) {
+    if (change.operation === 'uploadMarkup') {
+      continue;
+    }
 
-  // Filter by status if provided
-  if (status) {
-    const statusValue = MILESTONE_STATUS_MAP[status.toLowerCase()];
-    if (statusValue !== undefined) {
-      query.status = statusValue;
+    const state = documents.get(change.id) ?? { class: change.class, fields: {}, created: false, removed: false };
+    if (change.operation === 'create') {
+      Object.assign(state.fields, change.attributes);
+      state.created = true;
+    } else if (change.operation === 'update') {
+      for (const [field, value] of Object.entries(change.after)) {
+        if (!change.increments?.includes(field)) {
+          state.fields[field] = value;
+        }
+      }
+    } else {
+      state.removed = true;
+      state.snapshot = change.before;
     }
+    documents.set(change.id, state);
   }
-
-  // Get milestones
-  const milestones = await client.findAll(tracker.class.Milestone, query, {
-    sort: { targetDate: 1 }
-  });
-
-  return milestones.map(m => ({
-    id: m._id,
-    name: m.label,
-    description: m.description || '',
-    status: MILESTONE_STATUS_NAMES[m.status] || 'Unknown',
-    targetDate: m.targetDate ? new Date(m.targetDate).toISOString().split('T')[0] : null,
-    comments: m.comments || 0
-  }));
+  return documents;
 }
 
-async function getMilestone(projectIdent, name) {
-  const client = await getClient();
+// Reasons the entry cannot be reverted, empty when it can
+async function findUndoConflicts(client, documents) {
+  const conflicts = [];
+  const createdIds = new Set([...documents].filter(([, state]) => state.created).map(([id]) => id));
 
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
-  });
+  for (const [id, state] of documents) {
+    const kind = state.class.split(':').pop();
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
-  }
+    if (state.removed) {
+      if (!RESTORABLE_CLASSES.includes(state.class) || !state.snapshot) {
+        conflicts.push(`${kind} ${state.snapshot?.identifier ?? state.snapshot?.title ?? id} was deleted and cannot be restored`);
+      }
+      continue;
+    }
 
-  // Find milestone by name (case-insensitive)
-  const milestones = await client.findAll(tracker.class.Milestone, {
-    space: project._id
-  });
+    const doc = await client.findOne(state.class, { _id: id });
+    const name = `${kind} ${doc?.identifier ?? state.fields.title ?? state.fields.label ?? id}`;
+    if (!doc) {
+      conflicts.push(`${name} no longer exists`);
+      continue;
+    }
 
-  const milestone = milestones.find(m =>
-    m.label.toLowerCase() === name.toLowerCase()
-  );
+    const changed = Object.entries(state.fields)
+      .filter(([field, value]) => !isDeepStrictEqual(doc[field] ?? null, value ?? null))
+      .map(([field]) => field);
+    if (changed.length > 0) {
+      conflicts.push(`${name} was changed since (${changed.join(', ')})`);
+    }
 
-  if (!milestone) {
-    throw new Error(`Milestone not found: ${name}`);
+    const references = state.created && UNDO_REFERENCES.get(state.class);
+    if (references) {
+      const [refClass, field] = references;
+      const used = (await client.findAll(refClass, { [field]: id })).filter(ref => !createdIds.has(ref._id));
+      if (used.length > 0) {
+        conflicts.push(`${name} is now used by ${used.length} other document(s)`);
+      }
+    }
   }
 
-  // Count issues in this milestone
-  const issues = await client.findAll(tracker.class.Issue, {
-    space: project._id,
-    milestone: milestone._id
-  });
+  return conflicts;
+}
 
-  return {
-    id: milestone._id,
-    name: milestone.label,
-    description: milestone.description || '',
-    status: MILESTONE_STATUS_NAMES[milestone.status] || 'Unknown',
-    targetDate: milestone.targetDate ? new Date(milestone.targetDate).toISOString().split('T')[0] : null,
-    comments: milestone.comments || 0,
-    issueCount: issues.length
-  };
+// Apply the entry's changes in reverse: delete what it created, restore previous
+// field values and recreate removed labels
+async function revertEntry(client, entry, documents) {
+  for (const change of [...entry.changes].reverse()) {
+    const state = documents.get(change.id);
+
+    if (change.operation === 'create') {
+      if (change.attachedTo) {
+        await client.removeCollection(change.class, change.space, change.id, change.attachedTo, change.attachedToClass, change.collection);
+      } else {
+        await client.removeDoc(change.class, change.space, change.id);
+      }
+    } else if (change.operation === 'update' && !state.created) {
+      const previous = Object.fromEntries(Object.entries(change.before)
+        .filter(([field]) => !change.increments?.includes(field)));
+      if (Object.keys(previous).length === 0) {
+        continue;
+      }
+      if ('attachedTo' in previous) {
+        // Move the document back into its previous collection
+        await client.updateCollection(change.class, change.space, change.id,
+          previous.attachedTo, previous.attachedToClass, previous.collection, previous);
+      } else {
+        await client.updateDoc(change.class, change.space, change.id, previous);
+      }
+    } else if (change.operation === 'remove') {
+      const { _id, _class, space, attachedTo, attachedToClass, collection, modifiedOn, modifiedBy, createdOn, createdBy, ...attributes } = change.before;
+      await client.addCollection(_class, space, attachedTo, attachedToClass, collection,
+        Object.fromEntries(Object.entries(attributes).filter(([key]) => !key.startsWith('%'))), _id);
+    }
+  }
 }
 
-async function createMilestone(projectIdent, name, description, targetDate, status) {
+async function undo(count = 1, auditId) {
+  if (!auditEnabled()) {
+    throw new HulyError('CONFIGURATION', 'Undo needs the audit log, which is disabled (HULY_AUDIT_LOG=off)');
+  }
+
   const client = await getClient();
+  const workspace = currentWorkspace();
+  const log = (await readAuditLog()).filter(entry => entry.workspace === workspace);
+  const alreadyUndone = new Set(log.flatMap(entry => entry.undoes ?? []));
+
+  let entries;
+  if (auditId) {
+    const entry = log.find(e => e.id === auditId);
+    if (!entry) {
+      throw new HulyError('NOT_FOUND', `Audit entry not found: ${auditId}`);
+    }
+    if (entry.tool === 'undo') {
+      throw new HulyError('INVALID_ARGUMENT', 'An undo cannot itself be undone');
+    }
+    if (alreadyUndone.has(entry.id)) {
+      throw new HulyError('CONFLICT', `Audit entry ${auditId} has already been undone`);
+    }
+    if (!entry.changes?.length) {
+      throw new HulyError('INVALID_ARGUMENT', `Audit entry ${auditId} made no changes`);
+    }
+    entries = [entry];
+  } else {
+    entries = log
+      .filter(entry => entry.tool !== 'undo' && entry.changes?.length > 0 && !alreadyUndone.has(entry.id))
+      .slice(-count)
+      .reverse();
+    if (entries.length === 0) {
+      throw new HulyError('NOT_FOUND', 'Nothing to undo');
+    }
+  }
 
-  // Find project
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectIdent.toUpperCase()
-  });
+  // Revert newest first so each entry finds the state the previous one left behind
+  const undone = [];
+  for (const entry of entries) {
+    const documents = expectedUndoState(entry);
+    const conflicts = await findUndoConflicts(client, documents);
+    if (conflicts.length > 0) {
+      if (undone.length === 0) {
+        throw new HulyError('CONFLICT', `Cannot undo ${entry.tool} (${entry.id}): ${conflicts.join('; ')}`);
+      }
+      return { undone, stopped: { id: entry.id, tool: entry.tool, reasons: conflicts } };
+    }
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectIdent}`);
+    await revertEntry(client, entry, documents);
+    undone.push({ id: entry.id, tool: entry.tool, timestamp: entry.timestamp, issues: entry.issues });
   }
 
-  // Check if milestone already exists
-  const existing = await client.findOne(tracker.class.Milestone, {
-    space: project._id,
-    label: name
-  });
+  return { undone };
+}
 
-  if (existing) {
-    return {
-      message: `Milestone "${name}" already exists`,
-      id: existing._id,
-      name: existing.label
-    };
+// Resource functions
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'huly://project/{identifier}',
+    name: 'Project',
+    description: 'Project overview with milestones and issue counts (e.g., huly://project/PRYLA)',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'huly://issue/{issueId}',
+    name: 'Issue',
+    description: 'Issue details and description (e.g., huly://issue/PRYLA-42)',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'huly://milestone/{project}/{name}',
+    name: 'Milestone',
+    description: 'Milestone details with its issues (e.g., huly://milestone/PRYLA/v1.2)',
+    mimeType: 'text/markdown'
   }
+];
 
-  // Parse target date
-  let targetTimestamp = Date.now() + (30 * 24 * 60 * 60 * 1000); // Default: 30 days from now
-  if (targetDate) {
-    const parsed = new Date(targetDate);
-    if (!isNaN(parsed.getTime())) {
-      targetTimestamp = parsed.getTime();
-    }
+function parseResourceUri(uri) {
+  const match = uri.match(/^huly:\/\/(project|issue|milestone)\/(.+)$/);
+  if (!match) {
+    throw new HulyError('INVALID_ARGUMENT', `Unsupported resource URI: ${uri}`);
   }
 
-  // Parse status
-  let statusValue = 0; // Default: Planned
-  if (status) {
-    const parsed = MILESTONE_STATUS_MAP[status.toLowerCase()];
-    if (parsed !== undefined) {
-      statusValue = parsed;
+  const [, kind, rest] = match;
+  if (kind === 'milestone') {
+    const slash = rest.indexOf('/');
+    if (slash < 0) {
+      throw new HulyError('INVALID_ARGUMENT', `Invalid milestone URI: ${uri}. Expected huly://milestone/{project}/{name}`);
     }
+    return {
+      kind,
+      project: decodeURIComponent(rest.slice(0, slash)),
+      name: decodeURIComponent(rest.slice(slash + 1))
+    };
   }
 
-  // Create milestone
-  const milestoneId = generateId();
-  await client.createDoc(tracker.class.Milestone, project._id, {
-    label: name,
-    description: description || '',
-    status: statusValue,
-    targetDate: targetTimestamp,
-    comments: 0,
-    attachments: 0
-  }, milestoneId);
+  return { kind, id: decodeURIComponent(rest) };
+}
+
+async function listResources() {
+  const client = await getClient();
+  const projects = await getProjects(client);
+
+  return projects.map(p => ({
+    uri: `huly://project/${p.identifier}`,
+    name: p.name || p.identifier,
+    description: `Huly project ${p.identifier}`,
+    mimeType: 'text/markdown'
+  }));
+}
+
+function renderIssueLine(issue) {
+  const extras = [issue.status, issue.priority, issue.assignee].filter(Boolean).join(', ');
+  return `- **${issue.id}** ${issue.title} (${extras})`;
+}
+
+async function readResource(uri) {
+  const target = parseResourceUri(uri);
+  const lines = [];
+
+  if (target.kind === 'issue') {
+    const issue = await getIssue(target.id);
+    lines.push(`# ${issue.id}: ${issue.title}`, '');
+    lines.push(`- **Status:** ${issue.status}`);
+    lines.push(`- **Priority:** ${issue.priority}`);
+    lines.push(`- **Assignee:** ${issue.assignee || 'Unassigned'}`);
+    if (issue.component) {
+      lines.push(`- **Component:** ${issue.component}`);
+    }
+    if (issue.milestone) {
+      lines.push(`- **Milestone:** ${issue.milestone.name}`);
+    }
+    if (issue.labels.length > 0) {
+      lines.push(`- **Labels:** ${issue.labels.join(', ')}`);
+    }
+    if (issue.parent) {
+      lines.push(`- **Parent:** ${issue.parent}`);
+    }
+    if (issue.blockedBy.length > 0) {
+      lines.push(`- **Blocked by:** ${issue.blockedBy.join(', ')}`);
+    }
+    if (issue.relations.length > 0) {
+      lines.push(`- **Related:** ${issue.relations.join(', ')}`);
+    }
+    lines.push(`- **Sub-issues:** ${issue.childCount}`);
+    lines.push('', '## Description', '', issue.description || '_No description_');
+  } else if (target.kind === 'project') {
+    const project = await getProject(target.id);
+    const milestones = await listMilestones(project.identifier);
+    lines.push(`# ${project.identifier}: ${project.name}`, '');
+    if (project.description) {
+      lines.push(project.description, '');
+    }
+    lines.push(`- **Issues:** ${project.issueCount}`, '', '## Milestones', '');
+    if (milestones.length === 0) {
+      lines.push('_No milestones_');
+    }
+    for (const m of milestones) {
+      lines.push(`- **${m.name}** (${m.status}${m.targetDate ? `, due ${m.targetDate}` : ''})`);
+    }
+  } else {
+    const milestone = await getMilestone(target.project, target.name);
+    const { issues, total } = await listIssues(target.project, undefined, undefined, undefined, milestone.name);
+    lines.push(`# Milestone ${milestone.name}`, '');
+    lines.push(`- **Status:** ${milestone.status}`);
+    lines.push(`- **Target date:** ${milestone.targetDate || 'None'}`);
+    lines.push(`- **Issues:** ${milestone.issueCount}`);
+    if (milestone.description) {
+      lines.push('', milestone.description);
+    }
+    lines.push('', '## Issues', '');
+    if (issues.length === 0) {
+      lines.push('_No issues_');
+    }
+    lines.push(...issues.map(renderIssueLine));
+    if (total > issues.length) {
+      lines.push(`- _...and ${total - issues.length} more_`);
+    }
+  }
 
   return {
-    message: `Milestone "${name}" created`,
-    id: milestoneId,
-    name,
-    status: MILESTONE_STATUS_NAMES[statusValue],
-    targetDate: new Date(targetTimestamp).toISOString().split('T')[0]
+    contents: [
+      {
+        uri,
+        mimeType: 'text/markdown',
+        text: lines.join('\n')
+      }
+    ]
   };
 }
 
-async function setMilestone(issueId, milestoneName) {
-  const client = await getClient();
+// Ids a transaction touches: the document itself and, for collection changes, its parent
+function transactionDocIds(tx) {
+  return [tx.objectId, tx.attachedTo, tx.tx?.objectId].filter(Boolean);
+}
 
-  // Parse and find issue
-  const match = issueId.match(/^([A-Z0-9]+)-(\d+)$/i);
-  if (!match) {
-    throw new Error(`Invalid issue ID format: ${issueId}`);
+// Build a predicate that decides whether a transaction touches the resource
+async function resolveResourceWatch(uri) {
+  const client = await getClient();
+  const target = parseResourceUri(uri);
+
+  let matches;
+  if (target.kind === 'issue') {
+    const { issue } = await parseAndFindIssue(client, target.id);
+    matches = (tx) => transactionDocIds(tx).includes(issue._id);
+  } else if (target.kind === 'project') {
+    const project = await requireProject(client, target.id);
+    matches = (tx) => tx.objectId === project._id || tx.objectSpace === project._id;
+  } else {
+    const project = await requireProject(client, target.project);
+    const milestone = (await getMilestones(client, project._id))
+      .find(m => m.label.toLowerCase() === target.name.toLowerCase());
+    if (!milestone) {
+      throw new HulyError('NOT_FOUND', `Milestone not found: ${target.name}`);
+    }
+    const issues = await client.findAll(tracker.class.Issue, { space: project._id, milestone: milestone._id });
+    const issueIds = new Set(issues.map(i => i._id));
+    matches = (tx) => {
+      const ids = transactionDocIds(tx);
+      if (tx.operations?.milestone === milestone._id) {
+        ids.forEach(id => issueIds.add(id));
+      }
+      return ids.includes(milestone._id) || ids.some(id => issueIds.has(id));
+    };
   }
 
-  const [, projectId, issueNum] = match;
+  return matches;
+}
 
-  const project = await client.findOne(tracker.class.Project, {
-    identifier: projectId.toUpperCase()
-  });
+// Coalesce bursts of transactions into one notification per resource
+const RESOURCE_UPDATE_DELAY_MS = 500;
 
-  if (!project) {
-    throw new Error(`Project not found: ${projectId}`);
+// Track one server's resource subscriptions and notify it when a transaction touches them
+function createSubscriptionTracker(server) {
+  const subscriptions = new Map();
+  const pending = new Set();
+
+  const listener = (txes, workspace) => {
+    for (const [uri, { matches, workspace: watched }] of subscriptions) {
+      if (watched !== workspace || pending.has(uri) || !txes.some(matches)) {
+        continue;
+      }
+
+      const timer = setTimeout(() => {
+        pending.delete(uri);
+        server.sendResourceUpdated({ uri }).catch(err => {
+          console.error('[createSubscriptionTracker] Failed to notify:', err.message);
+        });
+      }, RESOURCE_UPDATE_DELAY_MS);
+      timer.unref?.();
+      pending.add(uri);
+    }
+  };
+  txListeners.add(listener);
+
+  return {
+    async subscribe(uri) {
+      subscriptions.set(uri, { matches: await resolveResourceWatch(uri), workspace: currentWorkspace() });
+    },
+    unsubscribe(uri) {
+      subscriptions.delete(uri);
+    },
+    close() {
+      txListeners.delete(listener);
+      subscriptions.clear();
+    }
+  };
+}
+
+// Prompt definitions
+const PROMPTS = [
+  {
+    name: 'triage_backlog',
+    description: 'Triage the backlog of a project: suggest priorities, labels, milestones and duplicates',
+    arguments: [
+      { name: 'project', description: 'Project identifier (e.g., "PRYLA")', required: true }
+    ]
+  },
+  {
+    name: 'standup',
+    description: 'Summarise recent activity in a project for a stand-up',
+    arguments: [
+      { name: 'project', description: 'Project identifier (e.g., "PRYLA")', required: true },
+      { name: 'since', description: 'Start of the period (ISO 8601, default: 24 hours ago)', required: false }
+    ]
+  },
+  {
+    name: 'release_notes',
+    description: 'Draft release notes for a milestone',
+    arguments: [
+      { name: 'project', description: 'Project identifier (e.g., "PRYLA")', required: true },
+      { name: 'milestone', description: 'Milestone name', required: true }
+    ]
+  },
+  {
+    name: 'write_bug_report',
+    description: 'Write a well-structured bug report and file it with create_issue',
+    arguments: [
+      { name: 'project', description: 'Project identifier (e.g., "PRYLA")', required: true },
+      { name: 'summary', description: 'What went wrong, in your own words', required: false }
+    ]
   }
+];
 
-  const issue = await client.findOne(tracker.class.Issue, {
-    space: project._id,
-    number: parseInt(issueNum)
-  });
+// Prompts can run against a workspace other than the default
+for (const prompt of PROMPTS) {
+  prompt.arguments.push({ name: 'workspace', description: 'Workspace to use (default: the configured default workspace)', required: false });
+}
 
-  if (!issue) {
-    throw new Error(`Issue not found: ${issueId}`);
+// Prompt functions
+function promptMessages(text) {
+  return [{ role: 'user', content: { type: 'text', text } }];
+}
+
+function formatIssueList(issues) {
+  if (issues.length === 0) {
+    return '_None_';
   }
+  return issues.map(i => {
+    const details = [
+      i.status,
+      i.priority,
+      i.assignee && `assignee: ${i.assignee}`,
+      i.milestone && `milestone: ${i.milestone}`,
+      i.labels.length > 0 && `labels: ${i.labels.join(', ')}`
+    ].filter(Boolean).join('; ');
+    return `- ${i.id}: ${i.title} (${details})`;
+  }).join('\n');
+}
 
-  // If milestone name is empty/null, clear the milestone
-  if (!milestoneName || milestoneName.trim() === '') {
-    await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-      milestone: null
-    });
-    return {
-      message: `Cleared milestone from ${issueId}`,
-      issueId,
-      milestone: null
-    };
+async function getPrompt(name, args) {
+  const project = args.project;
+  if (!project) {
+    throw new HulyError('INVALID_ARGUMENT', 'Missing required argument: project');
   }
 
-  // Find milestone by name
-  const milestones = await client.findAll(tracker.class.Milestone, {
-    space: project._id
-  });
+  // Name the workspace so follow-up tool calls target it too
+  const where = args.workspace ? ` in workspace "${currentWorkspace()}"` : '';
 
-  const milestone = milestones.find(m =>
-    m.label.toLowerCase() === milestoneName.toLowerCase()
-  );
+  switch (name) {
+    case 'triage_backlog': {
+      const { issues, total } = await listIssues(project, 'Backlog', undefined, undefined, undefined, undefined, undefined, 100);
+      const labels = await listLabels();
+      const milestones = await listMilestones(project);
+      return {
+        description: `Backlog triage for ${project.toUpperCase()}`,
+        messages: promptMessages([
+          `Please triage the backlog of Huly project ${project.toUpperCase()}${where}.`,
+          '',
+          'For each issue, suggest a priority (urgent, high, medium, low), relevant labels and a milestone,',
+          'flag likely duplicates and issues that need more information, and point out anything that should be closed.',
+          'Apply agreed changes with update_issue, add_label, set_milestone or bulk_update_issues.',
+          '',
+          `## Backlog issues (${issues.length} of ${total})`,
+          formatIssueList(issues),
+          '',
+          '## Available labels',
+          labels.map(l => l.name).join(', ') || '_None_',
+          '',
+          '## Milestones',
+          milestones.map(m => `${m.name} (${m.status}${m.targetDate ? `, due ${m.targetDate}` : ''})`).join(', ') || '_None_'
+        ].join('\n'))
+      };
+    }
 
-  if (!milestone) {
-    const available = milestones.map(m => m.label).join(', ');
-    throw new Error(`Milestone "${milestoneName}" not found. Available milestones: ${available || 'none'}`);
-  }
+    case 'standup': {
+      let since = Date.now() - 24 * 60 * 60 * 1000;
+      if (args.since) {
+        const parsed = new Date(args.since);
+        if (isNaN(parsed.getTime())) {
+          throw new HulyError('INVALID_ARGUMENT', `Invalid date: ${args.since}. Expected ISO 8601 format (e.g., "2025-03-01")`);
+        }
+        since = parsed.getTime();
+      }
 
-  // Update issue with milestone
-  await client.updateDoc(tracker.class.Issue, project._id, issue._id, {
-    milestone: milestone._id
-  });
+      const client = await getClient();
+      const proj = await requireProject(client, project);
+      const recent = await client.findAll(tracker.class.Issue, {
+        space: proj._id,
+        modifiedOn: { $gte: since }
+      }, {
+        limit: 100,
+        sort: { modifiedOn: -1 }
+      });
+      const issues = await summarizeIssues(client, recent);
+      const sinceText = new Date(since).toISOString();
+
+      return {
+        description: `Stand-up summary for ${proj.identifier} since ${sinceText}`,
+        messages: promptMessages([
+          `Write a stand-up summary for Huly project ${proj.identifier}${where} covering activity since ${sinceText}.`,
+          '',
+          'Group the issues into: completed, in progress, and blocked or at risk. Mention who is working on what,',
+          'keep it short enough to read aloud, and call out anything that needs a decision.',
+          '',
+          `## Issues changed since ${sinceText}`,
+          formatIssueList(issues)
+        ].join('\n'))
+      };
+    }
 
-  return {
-    message: `Set milestone "${milestone.label}" on ${issueId}`,
-    issueId,
-    milestone: {
-      id: milestone._id,
-      name: milestone.label
+    case 'release_notes': {
+      if (!args.milestone) {
+        throw new HulyError('INVALID_ARGUMENT', 'Missing required argument: milestone');
+      }
+      const milestone = await getMilestone(project, args.milestone);
+      const { issues, total } = await listIssues(project, undefined, undefined, undefined, milestone.name, undefined, undefined, 200);
+
+      return {
+        description: `Release notes for ${project.toUpperCase()} ${milestone.name}`,
+        messages: promptMessages([
+          `Draft release notes for milestone "${milestone.name}" of Huly project ${project.toUpperCase()}${where}.`,
+          '',
+          'Use sections for new features, improvements and bug fixes based on the issue titles and labels.',
+          'Only include issues that are done, and list anything still open separately as known issues.',
+          'Write for end users, not developers.',
+          '',
+          `## Milestone`,
+          `- Status: ${milestone.status}`,
+          `- Target date: ${milestone.targetDate || 'None'}`,
+          milestone.description ? `- Description: ${milestone.description}` : null,
+          '',
+          `## Issues (${issues.length} of ${total})`,
+          formatIssueList(issues)
+        ].filter(line => line !== null).join('\n'))
+      };
     }
-  };
+
+    case 'write_bug_report': {
+      const { issues } = await listIssues(project, undefined, undefined, undefined, undefined, undefined, undefined, 30);
+      const labels = await listLabels();
+      const components = await listComponents(project);
+
+      return {
+        description: `Bug report for ${project.toUpperCase()}`,
+        messages: promptMessages([
+          `Help me write a bug report for Huly project ${project.toUpperCase()}${where}.`,
+          args.summary ? `\nWhat I observed: ${args.summary}\n` : '',
+          'Structure the description with: Summary, Steps to reproduce, Expected behaviour, Actual behaviour,',
+          'Environment, and any logs or screenshots. Ask me for anything that is missing.',
+          'Check the recent issues below for duplicates first. When the report is ready, file it with create_issue',
+          'using an appropriate priority, component and labels (include a "bug" label if one exists).',
+          '',
+          '## Recent issues',
+          formatIssueList(issues),
+          '',
+          '## Available labels',
+          labels.map(l => l.name).join(', ') || '_None_',
+          '',
+          '## Components',
+          components.map(c => c.name).join(', ') || '_None_'
+        ].join('\n'))
+      };
+    }
+
+    default:
+      throw new HulyError('NOT_FOUND', `Unknown prompt: ${name}`, PROMPTS.map(p => p.name));
+  }
 }
 
 // Handle tool calls
@@ -1579,12 +5032,22 @@ async function handleToolCall(name, args) {
         args.priority,
         args.label,
         args.milestone,
-        args.limit
+        args.assignee,
+        args.component,
+        args.limit,
+        args.cursor,
+        args.offset
       );
 
+    case 'search_issues':
+      return await searchIssues(args.query, args.projects, args.limit);
+
     case 'get_issue':
       return await getIssue(args.issueId);
 
+    case 'get_issue_tree':
+      return await getIssueTree(args.issueId, args.depth);
+
     case 'create_issue':
       return await createIssue(
         args.project,
@@ -1593,7 +5056,9 @@ async function handleToolCall(name, args) {
         args.priority,
         args.status,
         args.labels,
-        args.type
+        args.type,
+        args.assignee,
+        args.component
       );
 
     case 'update_issue':
@@ -1603,7 +5068,9 @@ async function handleToolCall(name, args) {
         args.description,
         args.priority,
         args.status,
-        args.type
+        args.type,
+        args.assignee,
+        args.component
       );
 
     case 'add_label':
@@ -1627,6 +5094,18 @@ async function handleToolCall(name, args) {
     case 'set_parent':
       return await setParent(args.issueId, args.parentIssueId);
 
+    case 'remove_relation':
+      return await removeRelation(args.issueId, args.relatedToIssueId);
+
+    case 'remove_blocked_by':
+      return await removeBlockedBy(args.issueId, args.blockedByIssueId);
+
+    case 'clear_parent':
+      return await clearParent(args.issueId);
+
+    case 'get_dependency_graph':
+      return await getDependencyGraph(args.issueId, args.project, args.milestone);
+
     case 'list_task_types':
       return await listTaskTypes(args.project);
 
@@ -1648,65 +5127,461 @@ async function handleToolCall(name, args) {
         args.status
       );
 
+    case 'update_milestone':
+      return await updateMilestone(
+        args.project,
+        args.name,
+        args.newName,
+        args.description,
+        args.targetDate,
+        args.status,
+        args.moveUnfinishedTo
+      );
+
     case 'set_milestone':
       return await setMilestone(args.issueId, args.milestone);
 
+    case 'bulk_update_issues':
+      return await bulkUpdateIssues(args.issueIds, args.filter, args.changes, args.limit);
+
+    case 'delete_issue':
+      return await deleteIssue(args.issueId, args.deleteSubIssues, args.confirm);
+
+    case 'delete_label':
+      return await deleteLabel(args.name, args.confirm);
+
+    case 'delete_milestone':
+      return await deleteMilestone(args.project, args.name, args.confirm);
+
+    case 'list_components':
+      return await listComponents(args.project);
+
+    case 'create_component':
+      return await createComponent(args.project, args.name, args.description, args.lead);
+
+    case 'list_members':
+      return await listMembers();
+
+    case 'add_comment':
+      return await addComment(args.issueId, args.text);
+
+    case 'list_comments':
+      return await listComments(args.issueId, args.limit);
+
+    case 'update_comment':
+      return await updateComment(args.issueId, args.commentId, args.text);
+
+    case 'delete_comment':
+      return await deleteComment(args.issueId, args.commentId);
+
+    case 'set_estimate':
+      return await setEstimate(args.issueId, args.estimation, args.remainingTime);
+
+    case 'log_time':
+      return await logTime(args.issueId, args.hours, args.description, args.date);
+
+    case 'get_time_log':
+      return await getTimeLog(args.issueId);
+
+    case 'list_workspaces':
+      return await listWorkspaces();
+
+    case 'get_audit_log':
+      return await getAuditLog(args.since, args.until, args.tool, args.issueId, args.limit);
+
+    case 'undo':
+      return await undo(args.count, args.auditId);
+
     default:
-      throw new Error(`Unknown tool: ${name}`);
+      throw new HulyError('NOT_FOUND', `Unknown tool: ${name}`, TOOLS.map(t => t.name));
   }
 }
 
-// Create and run the server
-const server = new Server(
-  {
-    name: 'huly-mcp-server',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
+// Create a server instance; stdio uses one, HTTP mode creates one per session
+function createServer() {
+  const server = new Server(
+    {
+      name: 'huly-mcp-server',
+      version: '1.0.0',
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+        },
+        prompts: {},
+      },
+    }
+  );
 
-// List tools handler
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: TOOLS };
-});
+  const subscriptions = createSubscriptionTracker(server);
+  server.onclose = () => subscriptions.close();
+
+  // List tools handler
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: TOOLS.filter(tool => !toolDisabledReason(tool.name)) };
+  });
+
+  // Call tool handler with auto-reconnect
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    try {
+      const toolArgs = withoutNulls(args || {});
+      const dryRun = MUTATING_TOOLS.has(name) && (HULY_DRY_RUN || toolArgs.dryRun === true);
+      try {
+        validateToolArguments(name, toolArgs);
+        checkToolAccess(name, toolArgs);
+      } catch (error) {
+        if (MUTATING_TOOLS.has(name) && !dryRun) {
+          await auditRejectedCall(name, toolArgs, error);
+        }
+        throw error;
+      }
+      const result = await withReconnect(async () => {
+        if (dryRun) {
+          return await dryRunTool(() => handleToolCall(name, toolArgs));
+        }
+        if (MUTATING_TOOLS.has(name)) {
+          return await auditedToolCall(name, toolArgs);
+        }
+        return await handleToolCall(name, toolArgs);
+      }, toolArgs.workspace);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(errorDetails(error), null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+
+  // Resource handlers
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: await withReconnect(listResources) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return await withReconnect(() => readResource(request.params.uri));
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await withReconnect(() => subscriptions.subscribe(request.params.uri));
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  // Prompt handlers
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return await withReconnect(() => getPrompt(name, args || {}), args?.workspace);
+  });
+
+  return server;
+}
 
-// Call tool handler with auto-reconnect
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// HTTP transport helpers
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+}
 
+function hostnameOf(value) {
   try {
-    const result = await withReconnect(async () => {
-      return await handleToolCall(name, args || {});
-    });
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Host names the server answers to. A loopback server only answers to loopback
+// names unless more are configured; elsewhere the check needs HULY_MCP_ALLOWED_HOSTS.
+function allowedHostnames() {
+  if (MCP_ALLOWED_HOSTS.length > 0) {
+    return new Set([...MCP_ALLOWED_HOSTS, MCP_HOST.toLowerCase()]);
+  }
+  if (isLoopbackHost(MCP_HOST)) {
+    return new Set(['localhost', '127.0.0.1', '::1', MCP_HOST]);
+  }
+  return null;
+}
+
+function isAllowedOrigin(req, allowed) {
+  if (!allowed) {
+    return true;
+  }
+  const host = hostnameOf(req.headers.host || '');
+  if (!host || !allowed.has(host)) {
+    return false;
+  }
+  const origin = req.headers.origin;
+  return !origin || allowed.has(hostnameOf(origin));
+}
+
+function isAuthorized(req) {
+  if (!MCP_AUTH_TOKEN) {
+    return true;
+  }
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(MCP_AUTH_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, statusCode, message) {
+  sendJson(res, statusCode, {
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+// Same limit as the MCP SDK applies to messages it reads itself
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+class PayloadTooLargeError extends Error {
+  constructor() {
+    super(`Payload Too Large: request bodies are limited to ${MAX_BODY_BYTES} bytes`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+async function readJsonBody(req) {
+  if (parseInt(req.headers['content-length'] || '0', 10) > MAX_BODY_BYTES) {
+    throw new PayloadTooLargeError();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new PayloadTooLargeError();
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+// Serve MCP over Streamable HTTP (/mcp) with the legacy SSE transport (/sse, /messages) as fallback.
+// Every client session gets its own server instance and transport.
+async function startHttpServer() {
+  if (!MCP_AUTH_TOKEN && !isLoopbackHost(MCP_HOST)) {
+    throw new HulyError('CONFIGURATION', `Refusing to listen on ${MCP_HOST} without HULY_MCP_AUTH_TOKEN. Set a token or bind to 127.0.0.1`);
+  }
+
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+  const allowedHosts = allowedHostnames();
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === '/health') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      if (!isAllowedOrigin(req, allowedHosts)) {
+        sendJsonRpcError(res, 403, 'Forbidden: host or origin not allowed');
+        return;
+      }
+
+      if (!isAuthorized(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      if (url.pathname === '/mcp') {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+        const session = sessionId ? streamableSessions.get(sessionId) : undefined;
+        let transport = session?.transport;
+        if (!transport) {
+          // Unknown or expired sessions get 404 so clients know to start a new one
+          if (sessionId) {
+            sendJsonRpcError(res, 404, 'Session not found');
+            return;
+          }
+          if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, 'Bad Request: no valid session ID provided');
+            return;
+          }
+
+          transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+              streamableSessions.set(id, { transport, lastActivity: Date.now(), openRequests: 0 });
+            }
+          });
+          transport.onclose = () => {
+            if (transport.sessionId) {
+              streamableSessions.delete(transport.sessionId);
+            }
+          };
+          await createServer().connect(transport);
         }
-      ]
-    };
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ error: error.message })
+
+        // A session with a request in flight (such as an open notification stream) is not idle
+        if (session) {
+          session.openRequests++;
+          res.on('close', () => {
+            session.openRequests--;
+            session.lastActivity = Date.now();
+          });
         }
-      ],
-      isError: true
-    };
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        const transport = new SSEServerTransport('/messages', res);
+        sseSessions.set(transport.sessionId, transport);
+        res.on('close', () => {
+          sseSessions.delete(transport.sessionId);
+        });
+        await createServer().connect(transport);
+        return;
+      }
+
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        const transport = sseSessions.get(url.searchParams.get('sessionId'));
+        if (!transport) {
+          sendJsonRpcError(res, 400, 'Bad Request: unknown SSE session');
+          return;
+        }
+        await transport.handlePostMessage(req, res, await readJsonBody(req));
+        return;
+      }
+
+      sendJsonRpcError(res, 404, 'Not Found');
+    } catch (error) {
+      console.error('[http] Request failed:', error.message);
+      if (!res.headersSent) {
+        if (error instanceof PayloadTooLargeError) {
+          // Stop reading the rest of the body
+          res.setHeader('Connection', 'close');
+          sendJsonRpcError(res, 413, error.message);
+          return;
+        }
+        sendJsonRpcError(res, error instanceof SyntaxError ? 400 : 500, error.message);
+      }
+    }
+  });
+
+  // Close sessions of clients that went away without sending DELETE; closing the
+  // transport also closes its server, which drops the session's tx listener
+  if (MCP_SESSION_TIMEOUT > 0) {
+    const timeoutMs = MCP_SESSION_TIMEOUT * 1000;
+    setInterval(() => {
+      const now = Date.now();
+      for (const [id, session] of streamableSessions) {
+        if (session.openRequests === 0 && now - session.lastActivity > timeoutMs) {
+          console.error(`[http] Closing session ${id} after ${MCP_SESSION_TIMEOUT}s without activity`);
+          streamableSessions.delete(id);
+          session.transport.close().catch(error => console.error(`[http] Failed to close session ${id}:`, error.message));
+        }
+      }
+    }, Math.min(timeoutMs, 60000)).unref();
   }
-});
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(MCP_PORT, MCP_HOST, resolve);
+  });
+
+  if (!MCP_AUTH_TOKEN) {
+    console.error('Warning: HULY_MCP_AUTH_TOKEN is not set, local HTTP callers are not authenticated');
+  }
+  console.error(`Huly MCP Server running on http://${MCP_HOST}:${MCP_PORT}/mcp (SSE fallback at /sse)`);
+}
+
+// Check the credential configuration before accepting clients, then try the
+// connection in the background so a bad token or password shows up in the log
+function validateCredentials() {
+  const defaultWorkspace = resolveWorkspace();
+
+  for (const workspace of HULY_WORKSPACES) {
+    const credentials = resolveCredentials(workspace);
+    for (const source of credentials.ignored) {
+      console.error(`Ignoring ${source} because a token is configured`);
+    }
+    console.error(`Authenticating to ${workspaceUrl(workspace)} (workspace ${workspace}${workspace === defaultWorkspace ? ', default' : ''}) with ${credentials.description}`);
+  }
+
+  getClient(defaultWorkspace)
+    .then(() => console.error(`Connected to Huly workspace ${defaultWorkspace}`))
+    .catch(error => console.error('Huly connection check failed:', error.message));
+}
+
+function logAccessPolicy() {
+  const rules = [
+    HULY_READ_ONLY && 'read-only',
+    HULY_TOOLS_ALLOW.length > 0 && `allowed tools: ${HULY_TOOLS_ALLOW.join(', ')}`,
+    HULY_TOOLS_DENY.length > 0 && `denied tools: ${HULY_TOOLS_DENY.join(', ')}`,
+    HULY_WRITE_PROJECTS.length > 0 && `writes limited to: ${HULY_WRITE_PROJECTS.join(', ')}`
+  ].filter(Boolean);
+
+  if (rules.length > 0) {
+    console.error(`Access policy: ${rules.join('; ')}`);
+  }
+}
 
 // Start server
 async function main() {
+  validateCredentials();
+  logAccessPolicy();
+
+  if (MCP_TRANSPORT === 'http') {
+    await startHttpServer();
+    return;
+  }
+
+  if (MCP_TRANSPORT !== 'stdio') {
+    throw new Error(`Unknown transport: ${MCP_TRANSPORT}. Expected stdio or http`);
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error('Huly MCP Server running on stdio');
 }
 